@@ -0,0 +1,68 @@
+import { GAME_CONSTANTS } from '../constants.js';
+
+/**
+ * Enemy types by `Enemy.type`. `minLevel` unlocks a type and `weight` sets
+ * how often it is rolled among the unlocked ones. `behaviour` names the
+ * `ENEMY_BEHAVIOURS` config its state machine runs.
+ */
+export const ENEMY_ARCHETYPES = Object.freeze({
+  patrol: {
+    minLevel: 1,
+    weight: 7,
+    speed: GAME_CONSTANTS.PATROL_BASE_SPEED,
+    behaviour: 'wanderer',
+  },
+  chaser: {
+    minLevel: 1,
+    weight: 3,
+    speed: GAME_CONSTANTS.CHASER_BASE_SPEED,
+    behaviour: 'hunter',
+  },
+  /** Cuts the player off by heading for where they are going. */
+  ambusher: {
+    minLevel: 3,
+    weight: 2,
+    speed: GAME_CONSTANTS.AMBUSHER_SPEED,
+    behaviour: 'ambusher',
+  },
+  /** Stationary turret firing slow projectiles down corridors. */
+  sentry: {
+    minLevel: 5,
+    weight: 1,
+    speed: 0,
+    behaviour: 'sentry',
+  },
+  /** Chaser that shortcuts through one wall segment on a cooldown. */
+  phaser: {
+    minLevel: 7,
+    weight: 2,
+    speed: GAME_CONSTANTS.PHASER_SPEED,
+    behaviour: 'phaser',
+  },
+  /** Chaser that breaks into two smaller ones when bumped by a shield. */
+  splitter: {
+    minLevel: 9,
+    weight: 2,
+    speed: GAME_CONSTANTS.SPLITTER_SPEED,
+    behaviour: 'hunter',
+  },
+});
+
+/**
+ * Rolls an enemy type among those unlocked at `level`, by weight.
+ * @param {number} level
+ * @param {import('../core/random.js').SeededRandom} rng
+ * @returns {string}
+ */
+export function pickEnemyType(level, rng) {
+  const unlocked = Object.entries(ENEMY_ARCHETYPES).filter(
+    ([, archetype]) => archetype.minLevel <= level,
+  );
+  const total = unlocked.reduce((sum, [, archetype]) => sum + archetype.weight, 0);
+  let roll = rng.next() * total;
+  for (const [type, archetype] of unlocked) {
+    roll -= archetype.weight;
+    if (roll < 0) return type;
+  }
+  return unlocked[unlocked.length - 1][0];
+}
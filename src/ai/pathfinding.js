@@ -0,0 +1,511 @@
+import { GAME_CONSTANTS } from '../constants.js';
+
+const NEIGHBOUR_OFFSETS = Object.freeze([
+  [0, -1],
+  [0, 1],
+  [-1, 0],
+  [1, 0],
+]);
+
+const NO_LINKS = Object.freeze([]);
+
+/**
+ * Grid pathfinding shared by every enemy on a level. The maze is copied into
+ * typed arrays; A* runs on a binary heap with generation-stamped scratch
+ * buffers, so searches allocate nothing but the returned path. Results are
+ * cached per level, and a flow field toward one target cell (the player)
+ * lets any number of chasers look up their next step in O(1). A flee field
+ * derived from it does the same for enemies running away.
+ *
+ * Besides the four grid neighbours, a cell can have one-way links to distant
+ * cells (teleporter pads and portals, lifts between floors), which every search, field and step
+ * treats as one more edge of cost 1. Consecutive path nodes that are not grid
+ * neighbours are such a link. Cells can also carry an extra cost for entering
+ * them (hazards), which searches and fields route around where a detour is
+ * cheaper, so flow and flee distances are costs rather than step counts.
+ *
+ * Cells are `{ x, z }` maze coordinates. Paths include both endpoints and are
+ * shared through the cache, so callers must treat them as read-only.
+ */
+export class PathfindingService {
+  /**
+   * @param {{ searchBudget?: number, cacheSize?: number }} [options]
+   *   `searchBudget` is the number of A* node expansions allowed per tick;
+   *   `cacheSize` caps the number of remembered paths.
+   */
+  constructor({
+    searchBudget = GAME_CONSTANTS.PATH_SEARCH_BUDGET,
+    cacheSize = GAME_CONSTANTS.PATH_CACHE_SIZE,
+  } = {}) {
+    this.searchBudget = searchBudget;
+    this.cacheSize = cacheSize;
+    this.remainingBudget = searchBudget;
+    this.width = 0;
+    this.height = 0;
+    this.walls = new Uint8Array(0);
+    this.costs = new Uint8Array(0);
+    /** @type {Map<number, number[]>} Link destinations by source cell index. */
+    this.links = new Map();
+    /** @type {Map<number, number[]>} Link sources by destination cell index. */
+    this.reverseLinks = new Map();
+    this.cache = new Map();
+    this.stats = { searches: 0, cacheHits: 0, deferred: 0, expanded: 0 };
+    this.flowTarget = -1;
+    this.flowDistances = new Int32Array(0);
+    this.fleeTarget = -1;
+    this.fleeCosts = new Float64Array(0);
+  }
+
+  /**
+   * Loads a new maze grid, resetting links, cell costs, caches and scratch
+   * buffers.
+   * @param {number[][]} maze Rows of 1 (wall) / 0 (open).
+   */
+  setGrid(maze) {
+    this.height = maze.length;
+    this.width = maze[0]?.length ?? 0;
+    const cellCount = this.width * this.height;
+    this.walls = new Uint8Array(cellCount);
+    for (let z = 0; z < this.height; z += 1) {
+      for (let x = 0; x < this.width; x += 1) {
+        this.walls[z * this.width + x] = maze[z][x] === 1 ? 1 : 0;
+      }
+    }
+    this.costs = new Uint8Array(cellCount);
+    this.gScore = new Float64Array(cellCount);
+    this.cameFrom = new Int32Array(cellCount);
+    this.openStamp = new Uint32Array(cellCount);
+    this.closedStamp = new Uint32Array(cellCount);
+    this.generation = 0;
+    this.heap = new MinHeap(cellCount);
+    this.flowDistances = new Int32Array(cellCount).fill(-1);
+    this.fleeCosts = new Float64Array(cellCount);
+    this.remainingBudget = this.searchBudget;
+    this.links.clear();
+    this.reverseLinks.clear();
+    this.invalidate();
+  }
+
+  /**
+   * Replaces the extra costs of entering cells, on top of the 1 every step
+   * costs. Cells not listed cost nothing extra.
+   * @param {Array<{ x: number, z: number, cost: number }>} cells
+   */
+  setCosts(cells) {
+    this.costs.fill(0);
+    for (const { x, z, cost } of cells) {
+      this.costs[z * this.width + x] = cost;
+    }
+    this.invalidate();
+  }
+
+  /**
+   * Replaces the grid's links. A two-way link is given as two one-way ones.
+   * @param {Array<{ from: { x: number, z: number }, to: { x: number, z: number } }>} links
+   */
+  setLinks(links) {
+    this.links.clear();
+    this.reverseLinks.clear();
+    const add = (map, key, value) => {
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(value);
+    };
+    for (const { from, to } of links) {
+      const fromIndex = from.z * this.width + from.x;
+      const toIndex = to.z * this.width + to.x;
+      add(this.links, fromIndex, toIndex);
+      add(this.reverseLinks, toIndex, fromIndex);
+    }
+    this.invalidate();
+  }
+
+  /**
+   * Opens or closes a single cell, e.g. when a moving wall shifts, and drops
+   * everything computed on the old grid.
+   */
+  setWalkable(x, z, walkable) {
+    this.walls[z * this.width + x] = walkable ? 0 : 1;
+    this.invalidate();
+  }
+
+  /** Drops cached paths and the flow fields, e.g. after the grid changed. */
+  invalidate() {
+    this.cache.clear();
+    this.flowTarget = -1;
+    this.fleeTarget = -1;
+  }
+
+  /** Refills the per-tick search budget. */
+  beginTick() {
+    this.remainingBudget = this.searchBudget;
+  }
+
+  isWalkable(x, z) {
+    return x >= 0 && z >= 0 && x < this.width && z < this.height &&
+      this.walls[z * this.width + x] === 0;
+  }
+
+  /**
+   * A* between two cells. A search runs to completion once started, but none
+   * start after the tick's budget of node expansions is spent. Cached results
+   * skip the work yet are charged what the search cost, so which paths are
+   * found never depends on cache contents and restored runs stay in sync.
+   * @param {{ x: number, z: number }} start
+   * @param {{ x: number, z: number }} end
+   * @returns {Array<{ x: number, z: number }> | null} The path, or `null` when
+   *   the goal is unreachable or the search was deferred to a later tick.
+   */
+  findPath(start, end) {
+    if (!this.isWalkable(start.x, start.z) || !this.isWalkable(end.x, end.z)) {
+      return null;
+    }
+    const startIndex = start.z * this.width + start.x;
+    const endIndex = end.z * this.width + end.x;
+    const key = startIndex * this.width * this.height + endIndex;
+    if (this.remainingBudget <= 0) {
+      this.stats.deferred += 1;
+      return null;
+    }
+    const cached = this.cache.get(key);
+    if (cached) {
+      this.stats.cacheHits += 1;
+      this.remainingBudget -= cached.cost;
+      return cached.path;
+    }
+
+    const budgetBefore = this.remainingBudget;
+    const path = this.#search(startIndex, endIndex);
+    if (this.cache.size >= this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, { path, cost: budgetBefore - this.remainingBudget });
+    return path;
+  }
+
+  /**
+   * Open cells within `maxSteps` moves of `start`, nearest first, excluding
+   * `start` itself. `junctionsOnly` keeps cells with three or more exits.
+   * @param {{ x: number, z: number }} start
+   * @param {number} maxSteps
+   * @param {{ junctionsOnly?: boolean }} [options]
+   * @returns {Array<{ x: number, z: number, steps: number }>}
+   */
+  cellsWithin(start, maxSteps, { junctionsOnly = false } = {}) {
+    if (!this.isWalkable(start.x, start.z)) return [];
+    const cells = [];
+    const steps = new Map([[start.z * this.width + start.x, 0]]);
+    const queue = [start];
+    for (let head = 0; head < queue.length; head += 1) {
+      const cell = queue[head];
+      const distance = steps.get(cell.z * this.width + cell.x);
+      let exits = 0;
+      for (const [dx, dz] of NEIGHBOUR_OFFSETS) {
+        const x = cell.x + dx;
+        const z = cell.z + dz;
+        if (!this.isWalkable(x, z)) continue;
+        exits += 1;
+        const index = z * this.width + x;
+        if (distance < maxSteps && !steps.has(index)) {
+          steps.set(index, distance + 1);
+          queue.push({ x, z });
+        }
+      }
+      for (const index of this.links.get(cell.z * this.width + cell.x) ?? NO_LINKS) {
+        if (distance < maxSteps && !steps.has(index) && this.walls[index] === 0) {
+          steps.set(index, distance + 1);
+          queue.push({ x: index % this.width, z: Math.floor(index / this.width) });
+        }
+      }
+      if (head > 0 && (!junctionsOnly || exits >= 3)) {
+        cells.push({ x: cell.x, z: cell.z, steps: distance });
+      }
+    }
+    return cells;
+  }
+
+  /**
+   * Rebuilds the distance field toward `target` unless it already points
+   * there, with a Dijkstra search over reverse edges so cell costs count.
+   * Unreachable cells keep a distance of -1.
+   * @param {{ x: number, z: number }} target
+   */
+  updateFlowField(target) {
+    if (!this.isWalkable(target.x, target.z)) return;
+    const targetIndex = target.z * this.width + target.x;
+    if (targetIndex === this.flowTarget) return;
+    this.flowTarget = targetIndex;
+
+    const { heap, closedStamp, costs, walls } = this;
+    this.generation += 1;
+    const { generation } = this;
+    const distances = this.flowDistances;
+    distances.fill(-1);
+    heap.clear();
+    distances[targetIndex] = 0;
+    heap.push(targetIndex, 0);
+    while (heap.size > 0) {
+      const index = heap.pop();
+      if (closedStamp[index] === generation) continue;
+      closedStamp[index] = generation;
+      // Stepping from a neighbour into `index` costs 1 plus its extra cost.
+      const distance = distances[index] + 1 + costs[index];
+      const x = index % this.width;
+      const z = (index - x) / this.width;
+      for (const [dx, dz] of NEIGHBOUR_OFFSETS) {
+        if (!this.isWalkable(x + dx, z + dz)) continue;
+        const next = index + dz * this.width + dx;
+        if (closedStamp[next] === generation) continue;
+        if (distances[next] === -1 || distance < distances[next]) {
+          distances[next] = distance;
+          heap.push(next, distance);
+        }
+      }
+      // Cells linking here are one step away too.
+      for (const next of this.reverseLinks.get(index) ?? NO_LINKS) {
+        if (walls[next] === 1 || closedStamp[next] === generation) continue;
+        if (distances[next] === -1 || distance < distances[next]) {
+          distances[next] = distance;
+          heap.push(next, distance);
+        }
+      }
+    }
+  }
+
+  /**
+   * Steps along the flow field: the neighbour of `cell`, or cell it links to,
+   * closest to the flow target, or `null` at the target or when it cannot be
+   * reached.
+   * @param {{ x: number, z: number }} cell
+   * @returns {{ x: number, z: number } | null}
+   */
+  flowStep(cell) {
+    const here = this.flowDistance(cell);
+    if (here <= 0) return null;
+    let best = null;
+    let bestDistance = here;
+    for (const [dx, dz] of NEIGHBOUR_OFFSETS) {
+      const neighbour = { x: cell.x + dx, z: cell.z + dz };
+      const distance = this.flowDistance(neighbour);
+      if (distance >= 0 && distance < bestDistance) {
+        best = neighbour;
+        bestDistance = distance;
+      }
+    }
+    for (const index of this.links.get(cell.z * this.width + cell.x) ?? NO_LINKS) {
+      const linked = { x: index % this.width, z: Math.floor(index / this.width) };
+      const distance = this.flowDistance(linked);
+      if (distance >= 0 && distance < bestDistance) {
+        best = linked;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  /** Cost of the way from `cell` to the flow target, or -1 when unreachable. */
+  flowDistance(cell) {
+    if (!this.isWalkable(cell.x, cell.z) || this.flowTarget < 0) return -1;
+    return this.flowDistances[cell.z * this.width + cell.x];
+  }
+
+  /**
+   * Steps away from the flow target: the neighbour of `cell`, or cell it
+   * links to, lowest on the flee field, or `null` where no neighbour is safer. The field is rebuilt
+   * lazily the first time it is read after the flow target moves.
+   * @param {{ x: number, z: number }} cell
+   * @returns {{ x: number, z: number } | null}
+   */
+  fleeStep(cell) {
+    if (this.flowDistance(cell) < 0) return null;
+    if (this.fleeTarget !== this.flowTarget) this.#buildFleeField();
+    let best = null;
+    const here = cell.z * this.width + cell.x;
+    let bestCost = this.fleeCosts[here];
+    const consider = (x, z) => {
+      if (this.flowDistance({ x, z }) < 0) return;
+      const cost = this.fleeCosts[z * this.width + x];
+      if (cost < bestCost) {
+        best = { x, z };
+        bestCost = cost;
+      }
+    };
+    for (const [dx, dz] of NEIGHBOUR_OFFSETS) consider(cell.x + dx, cell.z + dz);
+    for (const index of this.links.get(here) ?? NO_LINKS) {
+      consider(index % this.width, Math.floor(index / this.width));
+    }
+    return best;
+  }
+
+  /**
+   * Builds the flee field: every reachable cell starts at its flow distance
+   * times `-FLEE_SAFETY_FACTOR`, then a Dijkstra pass with the same step costs
+   * lets costs flow between neighbours. Descending it leads away from the target
+   * but around it toward open space rather than into the nearest dead end.
+   */
+  #buildFleeField() {
+    this.fleeTarget = this.flowTarget;
+    const { heap, fleeCosts, flowDistances, closedStamp } = this;
+    this.generation += 1;
+    const { generation } = this;
+    heap.clear();
+    for (let index = 0; index < flowDistances.length; index += 1) {
+      if (flowDistances[index] < 0) continue;
+      fleeCosts[index] = -GAME_CONSTANTS.FLEE_SAFETY_FACTOR * flowDistances[index];
+      heap.push(index, fleeCosts[index]);
+    }
+    while (heap.size > 0) {
+      const current = heap.pop();
+      if (closedStamp[current] === generation) continue;
+      closedStamp[current] = generation;
+      const step = fleeCosts[current] + 1 + this.costs[current];
+      const x = current % this.width;
+      const z = (current - x) / this.width;
+      for (const [dx, dz] of NEIGHBOUR_OFFSETS) {
+        if (!this.isWalkable(x + dx, z + dz)) continue;
+        const next = current + dz * this.width + dx;
+        if (closedStamp[next] === generation) continue;
+        if (step < fleeCosts[next]) {
+          fleeCosts[next] = step;
+          heap.push(next, fleeCosts[next]);
+        }
+      }
+      for (const next of this.reverseLinks.get(current) ?? NO_LINKS) {
+        if (flowDistances[next] < 0 || closedStamp[next] === generation) continue;
+        if (step < fleeCosts[next]) {
+          fleeCosts[next] = step;
+          heap.push(next, fleeCosts[next]);
+        }
+      }
+    }
+  }
+
+  #search(startIndex, endIndex) {
+    this.stats.searches += 1;
+    this.generation += 1;
+    const { width, heap, gScore, cameFrom, openStamp, closedStamp, costs, generation } = this;
+    const endX = endIndex % width;
+    const endZ = (endIndex - endX) / width;
+    const manhattan = (index) => {
+      const x = index % width;
+      return Math.abs(x - endX) + Math.abs((index - x) / width - endZ);
+    };
+    // A link can end anywhere, so stay admissible by never guessing more than
+    // one step into the nearest link exit plus the rest of the way from it.
+    let viaLink = Infinity;
+    for (const exits of this.links.values()) {
+      for (const exit of exits) viaLink = Math.min(viaLink, 1 + manhattan(exit));
+    }
+    const heuristic = (index) => Math.min(manhattan(index), viaLink);
+
+    heap.clear();
+    gScore[startIndex] = 0;
+    cameFrom[startIndex] = -1;
+    openStamp[startIndex] = generation;
+    heap.push(startIndex, heuristic(startIndex));
+
+    while (heap.size > 0) {
+      const current = heap.pop();
+      if (closedStamp[current] === generation) continue;
+      if (current === endIndex) return this.#reconstruct(current);
+      closedStamp[current] = generation;
+      this.remainingBudget -= 1;
+      this.stats.expanded += 1;
+
+      const x = current % width;
+      const z = (current - x) / width;
+      for (const [dx, dz] of NEIGHBOUR_OFFSETS) {
+        if (!this.isWalkable(x + dx, z + dz)) continue;
+        const next = current + dz * width + dx;
+        if (closedStamp[next] === generation) continue;
+        const tentative = gScore[current] + 1 + costs[next];
+        if (openStamp[next] !== generation || tentative < gScore[next]) {
+          openStamp[next] = generation;
+          gScore[next] = tentative;
+          cameFrom[next] = current;
+          // Stale heap entries for `next` are skipped once it is closed.
+          heap.push(next, tentative + heuristic(next));
+        }
+      }
+      for (const next of this.links.get(current) ?? NO_LINKS) {
+        if (this.walls[next] === 1 || closedStamp[next] === generation) continue;
+        const tentative = gScore[current] + 1 + costs[next];
+        if (openStamp[next] !== generation || tentative < gScore[next]) {
+          openStamp[next] = generation;
+          gScore[next] = tentative;
+          cameFrom[next] = current;
+          heap.push(next, tentative + heuristic(next));
+        }
+      }
+    }
+    return null;
+  }
+
+  #reconstruct(index) {
+    const path = [];
+    for (let node = index; node !== -1; node = this.cameFrom[node]) {
+      const x = node % this.width;
+      path.push({ x, z: (node - x) / this.width });
+    }
+    return path.reverse();
+  }
+}
+
+/** Binary min-heap of cell indices keyed by priority, backed by typed arrays. */
+class MinHeap {
+  constructor(capacity) {
+    // Lazy deletion can push a cell more than once, so leave headroom.
+    this.items = new Int32Array(capacity * 4 + 4);
+    this.priorities = new Float64Array(capacity * 4 + 4);
+    this.size = 0;
+  }
+
+  clear() {
+    this.size = 0;
+  }
+
+  push(item, priority) {
+    if (this.size === this.items.length) this.#grow();
+    let index = this.size;
+    this.size += 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.priorities[parent] <= priority) break;
+      this.items[index] = this.items[parent];
+      this.priorities[index] = this.priorities[parent];
+      index = parent;
+    }
+    this.items[index] = item;
+    this.priorities[index] = priority;
+  }
+
+  pop() {
+    const top = this.items[0];
+    this.size -= 1;
+    const item = this.items[this.size];
+    const priority = this.priorities[this.size];
+    let index = 0;
+    for (;;) {
+      let child = index * 2 + 1;
+      if (child >= this.size) break;
+      if (child + 1 < this.size && this.priorities[child + 1] < this.priorities[child]) {
+        child += 1;
+      }
+      if (this.priorities[child] >= priority) break;
+      this.items[index] = this.items[child];
+      this.priorities[index] = this.priorities[child];
+      index = child;
+    }
+    this.items[index] = item;
+    this.priorities[index] = priority;
+    return top;
+  }
+
+  #grow() {
+    const items = new Int32Array(this.items.length * 2);
+    const priorities = new Float64Array(this.priorities.length * 2);
+    items.set(this.items);
+    priorities.set(this.priorities);
+    this.items = items;
+    this.priorities = priorities;
+  }
+}
@@ -0,0 +1,131 @@
+import { GAME_CONSTANTS } from '../constants.js';
+import { floorRow } from '../maze/generators.js';
+import { GAME_EVENTS } from '../sim/gameEvents.js';
+
+/** How far each noisy player action carries, in world units. */
+export const NOISE_RADII = Object.freeze({
+  [GAME_EVENTS.BOOST_STARTED]: GAME_CONSTANTS.NOISE_RADIUS_BOOST,
+  [GAME_EVENTS.PHASE_DASHED]: GAME_CONSTANTS.NOISE_RADIUS_PHASE_DASH,
+  [GAME_EVENTS.WALL_SCRAPED]: GAME_CONSTANTS.NOISE_RADIUS_SCRAPE,
+});
+
+/** Maze floor a world height lies on. */
+function floorOf(y = 0) {
+  return Math.max(0, Math.floor(y / GAME_CONSTANTS.FLOOR_HEIGHT));
+}
+
+/**
+ * Enemy senses. Sight is a vision cone around an enemy's facing, blocked by
+ * maze walls via a grid raycast; a small awareness radius covers the player
+ * brushing past from behind. Hearing collects the noisy gameplay events of a
+ * tick and reports the nearest one within earshot, at reduced range through
+ * walls. Neither sight nor sound carries between maze floors. The grid comes
+ * from the level's `PathfindingService`, floors stacked along its rows.
+ */
+export class PerceptionService {
+  /** @param {import('./pathfinding.js').PathfindingService} pathfinding */
+  constructor(pathfinding) {
+    this.pathfinding = pathfinding;
+    this.noises = [];
+  }
+
+  /**
+   * Starts recording the noisy events in `NOISE_RADII` emitted by `events`.
+   * @param {import('../core/emitter.js').Emitter} events
+   * @returns {() => void} Stops listening.
+   */
+  listen(events) {
+    const unsubscribers = Object.entries(NOISE_RADII).map(([event, radius]) =>
+      events.on(event, ({ position }) => {
+        this.noises.push({ x: position.x, y: position.y, z: position.z, radius });
+      }),
+    );
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }
+
+  /** Forgets the noises heard so far, at the end of a tick or level. */
+  clearNoises() {
+    this.noises.length = 0;
+  }
+
+  /**
+   * Whether `target` is inside the vision cone of an observer at `from`
+   * facing `facing` (radians, `atan2(z, x)`) with no wall in between.
+   */
+  canSee(from, facing, target) {
+    const dx = target.x - from.x;
+    const dz = target.z - from.z;
+    const distance = Math.hypot(dx, dz);
+    if (distance > GAME_CONSTANTS.AI_VISION_RANGE) return false;
+    if (distance > GAME_CONSTANTS.AI_AWARENESS_RADIUS) {
+      const offset = Math.atan2(dz, dx) - facing;
+      const angle = Math.abs(Math.atan2(Math.sin(offset), Math.cos(offset)));
+      if (angle > GAME_CONSTANTS.AI_VISION_HALF_ANGLE) return false;
+    }
+    return this.hasLineOfSight(from, target);
+  }
+
+  /**
+   * The nearest noise of the current tick audible at `position`, or `null`.
+   * @returns {{ x: number, y: number, z: number } | null}
+   */
+  hear(position) {
+    let heard = null;
+    let nearest = Infinity;
+    for (const noise of this.noises) {
+      if (floorOf(noise.y) !== floorOf(position.y)) continue;
+      const distance = Math.hypot(noise.x - position.x, noise.z - position.z);
+      if (distance > noise.radius || distance >= nearest) continue;
+      if (
+        distance > noise.radius * GAME_CONSTANTS.NOISE_WALL_DAMPING &&
+        !this.hasLineOfSight(position, noise)
+      ) {
+        continue;
+      }
+      heard = { x: noise.x, y: noise.y, z: noise.z };
+      nearest = distance;
+    }
+    return heard;
+  }
+
+  /**
+   * Walks the grid cells crossed by the segment between two world positions
+   * and reports whether all of them are open. The observer's own cell is
+   * skipped, and positions on different floors never see each other.
+   */
+  hasLineOfSight(from, to) {
+    const floor = floorOf(from.y);
+    if (floorOf(to.y) !== floor) return false;
+    const { width } = this.pathfinding;
+    const cs = GAME_CONSTANTS.CELL_SIZE;
+    // Shift by half a cell so cell `i` spans [i, i + 1) and flooring finds it.
+    const rowOffset = width / 2 + 0.5 + floorRow(width, floor);
+    const x0 = from.x / cs + width / 2 + 0.5;
+    const z0 = from.z / cs + rowOffset;
+    const x1 = to.x / cs + width / 2 + 0.5;
+    const z1 = to.z / cs + rowOffset;
+    let cellX = Math.floor(x0);
+    let cellZ = Math.floor(z0);
+    const dx = x1 - x0;
+    const dz = z1 - z0;
+    const stepX = Math.sign(dx);
+    const stepZ = Math.sign(dz);
+    const deltaX = dx === 0 ? Infinity : Math.abs(1 / dx);
+    const deltaZ = dz === 0 ? Infinity : Math.abs(1 / dz);
+    let nextX = dx > 0 ? (cellX + 1 - x0) * deltaX : dx < 0 ? (x0 - cellX) * deltaX : Infinity;
+    let nextZ = dz > 0 ? (cellZ + 1 - z0) * deltaZ : dz < 0 ? (z0 - cellZ) * deltaZ : Infinity;
+
+    let steps = Math.abs(Math.floor(x1) - cellX) + Math.abs(Math.floor(z1) - cellZ);
+    for (; steps > 0; steps -= 1) {
+      if (nextX < nextZ) {
+        nextX += deltaX;
+        cellX += stepX;
+      } else {
+        nextZ += deltaZ;
+        cellZ += stepZ;
+      }
+      if (!this.pathfinding.isWalkable(cellX, cellZ)) return false;
+    }
+    return true;
+  }
+}
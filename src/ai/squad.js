@@ -0,0 +1,131 @@
+import { GAME_CONSTANTS } from '../constants.js';
+
+/**
+ * Squad tactics by the level they start at. `maxChasers` caps how many
+ * alerted enemies close in at once; the rest hold back in reserve. Up to
+ * `flankers` of the chasers cut the player off at junctions instead of
+ * pursuing them directly.
+ */
+export const SQUAD_TACTICS = Object.freeze([
+  { minLevel: 1, maxChasers: 2, flankers: 0 },
+  { minLevel: 4, maxChasers: 3, flankers: 1 },
+  { minLevel: 8, maxChasers: 4, flankers: 2 },
+  { minLevel: 12, maxChasers: 5, flankers: 3 },
+]);
+
+/** The `SQUAD_TACTICS` entry in force at `level`. */
+export function squadTacticsFor(level) {
+  let tactics = SQUAD_TACTICS[0];
+  for (const entry of SQUAD_TACTICS) {
+    if (entry.minLevel <= level) tactics = entry;
+  }
+  return tactics;
+}
+
+/**
+ * Blackboard shared by the enemies chasing the player. Members pool what
+ * they sense, so the squad only loses track once none of them has seen or
+ * heard the player for a while. It also ranks them by flow-field distance to
+ * the player and writes a role onto each one's `AI` component: the nearest
+ * `'pursue'`s directly, the next few `'flank'` toward distinct junctions ahead
+ * of or beside the player, and any beyond the chaser cap wait in `'reserve'`.
+ * Roles live on the components, so restored runs keep them; the blackboard
+ * only remembers its last assignment for inspection.
+ */
+export class SquadBlackboard {
+  /** @param {import('./pathfinding.js').PathfindingService} pathfinding */
+  constructor(pathfinding) {
+    this.pathfinding = pathfinding;
+    /** @type {Array<{ eid: number, role: string, target: { x: number, z: number } | null }>} */
+    this.assignments = [];
+  }
+
+  /**
+   * Gives every member the freshest `lastKnown` and `lastSensedTick` among
+   * them.
+   * @param {Array<{ perception: object }>} members
+   */
+  shareSightings(members) {
+    let freshest = null;
+    for (const { perception } of members) {
+      if (perception.lastKnown && perception.lastSensedTick > (freshest?.lastSensedTick ?? -1)) {
+        freshest = perception;
+      }
+    }
+    if (!freshest) return;
+    for (const { perception } of members) {
+      if (perception === freshest) continue;
+      perception.lastSensedTick = freshest.lastSensedTick;
+      perception.lastKnown = { ...freshest.lastKnown };
+    }
+  }
+
+  /**
+   * Assigns squad roles.
+   * @param {Array<{ eid: number, ai: object, cell: { x: number, z: number } }>} members
+   *   Every enemy currently chasing, as passed to `shareSightings()`.
+   * @param {{ x: number, z: number }} playerCell
+   * @param {{ x: number, z: number }} heading Player velocity, in cells or world units.
+   * @param {{ maxChasers: number, flankers: number }} tactics
+   */
+  assign(members, playerCell, heading, tactics) {
+    const ranked = members
+      .map((member) => {
+        const distance = this.pathfinding.flowDistance(member.cell);
+        return { ...member, distance: distance < 0 ? Infinity : distance };
+      })
+      .sort((a, b) => a.distance - b.distance || a.eid - b.eid);
+
+    const flankers = Math.min(tactics.flankers, tactics.maxChasers - 1);
+    const junctions = flankers > 0 ? this.#flankJunctions(playerCell, heading) : [];
+    this.assignments = ranked.map(({ eid, ai, cell }, rank) => {
+      let role = rank < tactics.maxChasers ? 'pursue' : 'reserve';
+      let target = null;
+      if (rank > 0 && rank <= flankers && junctions.length > 0) {
+        target = takeNearest(junctions, cell);
+        role = 'flank';
+      }
+      ai.squadRole = role;
+      ai.squadTarget = target;
+      return { eid, role, target };
+    });
+  }
+
+  /** Forgets the last assignment, e.g. when the level changes. */
+  clear() {
+    this.assignments = [];
+  }
+
+  /**
+   * Junctions near the player that are not behind them, relative to
+   * `heading`. A standing player has nothing behind them.
+   */
+  #flankJunctions(playerCell, heading) {
+    const speed = Math.hypot(heading.x, heading.z);
+    return this.pathfinding
+      .cellsWithin(playerCell, GAME_CONSTANTS.SQUAD_FLANK_RADIUS, { junctionsOnly: true })
+      .filter(({ x, z, steps }) => {
+        if (steps < GAME_CONSTANTS.SQUAD_FLANK_MIN_STEPS) return false;
+        if (speed === 0) return true;
+        const dx = x - playerCell.x;
+        const dz = z - playerCell.z;
+        return (dx * heading.x + dz * heading.z) / (Math.hypot(dx, dz) * speed) >
+          GAME_CONSTANTS.SQUAD_FLANK_MIN_ALIGNMENT;
+      });
+  }
+}
+
+/** Removes and returns the cell in `cells` closest to `from`. */
+function takeNearest(cells, from) {
+  let bestIndex = 0;
+  let bestDistance = Infinity;
+  cells.forEach(({ x, z }, index) => {
+    const distance = Math.hypot(x - from.x, z - from.z);
+    if (distance < bestDistance) {
+      bestIndex = index;
+      bestDistance = distance;
+    }
+  });
+  const [{ x, z }] = cells.splice(bestIndex, 1);
+  return { x, z };
+}
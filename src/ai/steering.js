@@ -0,0 +1,61 @@
+/**
+ * Steering behaviours layered on top of enemy path following. Each returns a
+ * velocity (`arrive`) or a force to add to one, in world units on the XZ
+ * plane, and allocates nothing but its result.
+ */
+
+/**
+ * Velocity toward `target` at `maxSpeed`, slowing linearly inside
+ * `slowingRadius` so the mover settles on the target instead of overshooting.
+ */
+export function arrive(position, target, maxSpeed, slowingRadius) {
+  const dx = target.x - position.x;
+  const dz = target.z - position.z;
+  const distance = Math.hypot(dx, dz);
+  if (distance === 0) return { x: 0, z: 0 };
+  const speed = maxSpeed * Math.min(1, distance / slowingRadius);
+  return { x: (dx / distance) * speed, z: (dz / distance) * speed };
+}
+
+/**
+ * Push away from every neighbour closer than `radius`, stronger the deeper
+ * the overlap. Neighbours at exactly `position` (including the mover itself)
+ * are ignored.
+ * @param {{ x: number, z: number }} position
+ * @param {Iterable<{ x: number, z: number }>} neighbours
+ * @param {number} radius
+ */
+export function separation(position, neighbours, radius) {
+  const force = { x: 0, z: 0 };
+  for (const other of neighbours) {
+    const dx = position.x - other.x;
+    const dz = position.z - other.z;
+    const distance = Math.hypot(dx, dz);
+    if (distance === 0 || distance >= radius) continue;
+    const strength = (radius - distance) / radius;
+    force.x += (dx / distance) * strength;
+    force.z += (dz / distance) * strength;
+  }
+  return force;
+}
+
+/**
+ * Sideways force steering clear of a wall `lookahead` units ahead along
+ * `velocity`. `wallAt(x, z)` returns the centre of the wall block covering a
+ * world position, or `null` when it is open. The force is perpendicular to
+ * the heading and scaled to the current speed.
+ */
+export function avoidObstacles(position, velocity, lookahead, wallAt) {
+  const speed = Math.hypot(velocity.x, velocity.z);
+  if (speed === 0) return { x: 0, z: 0 };
+  const headingX = velocity.x / speed;
+  const headingZ = velocity.z / speed;
+  const wall = wallAt(position.x + headingX * lookahead, position.z + headingZ * lookahead);
+  if (!wall) return { x: 0, z: 0 };
+
+  // Steer to whichever side of the heading the wall centre is not on; a wall
+  // dead ahead always deflects the same way.
+  const side = (wall.x - position.x) * headingZ - (wall.z - position.z) * headingX;
+  const direction = side >= 0 ? 1 : -1;
+  return { x: -headingZ * direction * speed, z: headingX * direction * speed };
+}
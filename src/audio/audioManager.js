@@ -1,5 +1,44 @@
+import { GAME_EVENTS } from '../sim/gameEvents.js';
+
 const Tone = window.Tone;
 
+/** Sound cue played for each gameplay event. */
+const EVENT_CUES = Object.freeze({
+  [GAME_EVENTS.PLAYER_STEP]: 'move',
+  [GAME_EVENTS.BOOST_STARTED]: 'boost',
+  [GAME_EVENTS.BOOST_ENDED]: 'boostEnd',
+  [GAME_EVENTS.PHASE_DASHED]: 'jump',
+  [GAME_EVENTS.PULSE_EMITTED]: 'pulse',
+  [GAME_EVENTS.ENEMY_STUNNED]: 'enemyStun',
+  [GAME_EVENTS.ITEM_COLLECTED]: 'collect',
+  [GAME_EVENTS.POWER_UP_ACTIVATED]: 'powerUp',
+  [GAME_EVENTS.PLAYER_DAMAGED]: 'damage',
+  [GAME_EVENTS.ENEMY_ALERTED]: 'enemyAlert',
+  [GAME_EVENTS.ENEMY_PHASED]: 'enemyPhase',
+  [GAME_EVENTS.ENEMY_SPLIT]: 'enemySplit',
+  [GAME_EVENTS.PROJECTILE_FIRED]: 'enemyFire',
+  [GAME_EVENTS.ENEMY_DESTROYED]: 'enemyDestroyed',
+  [GAME_EVENTS.ENEMY_RESPAWNED]: 'enemyRespawn',
+  [GAME_EVENTS.MOVING_WALL_WARNING]: 'wallWarning',
+  [GAME_EVENTS.MOVING_WALL_SHIFTED]: 'wallShift',
+  [GAME_EVENTS.KEY_COLLECTED]: 'keyPickup',
+  [GAME_EVENTS.DOOR_UNLOCKED]: 'doorUnlock',
+  [GAME_EVENTS.GOAL_ACTIVATED]: 'goalActive',
+  [GAME_EVENTS.TELEPORTED]: 'teleport',
+  [GAME_EVENTS.LIFT_DEPARTED]: 'liftDepart',
+  [GAME_EVENTS.LIFT_ARRIVED]: 'liftArrive',
+  [GAME_EVENTS.FLOOR_COLLAPSED]: 'collapse',
+  [GAME_EVENTS.LEVEL_COMPLETED]: 'levelUp',
+});
+
+/** Sound cue for a `hazardTriggered` event, by hazard kind. */
+const HAZARD_CUES = Object.freeze({
+  laser: 'laserHit',
+  shock: 'shock',
+  slow: 'slowField',
+  crumble: 'crumble',
+});
+
 /**
  * Handles all Tone.js interactions, including initialization, playback
  * and lifecycle management.
@@ -23,6 +62,21 @@ export class AudioManager {
     }
   }
 
+  /**
+   * Subscribes to gameplay events and plays their sound cues.
+   * @param {import('../core/emitter.js').Emitter} events
+   */
+  connect(events) {
+    for (const [event, cue] of Object.entries(EVENT_CUES)) {
+      events.on(event, () => this.play(cue));
+    }
+    events.on(GAME_EVENTS.HAZARD_TRIGGERED, ({ kind }) => this.play(HAZARD_CUES[kind]));
+    // Scraping fires every tick along a wall; only voice some of them.
+    events.on(GAME_EVENTS.WALL_SCRAPED, () => {
+      if (Math.random() > 0.8) this.play('scrape');
+    });
+  }
+
   toggleMute(button) {
     this.muted = !this.muted;
     Tone.Master.mute = this.muted;
@@ -62,6 +116,16 @@ export class AudioManager {
           this.sources.get('jump').triggerAttackRelease('C2', '8n', now);
           this.sources.get('jump').triggerAttackRelease('G3', '16n', now + 0.05);
           break;
+        case 'pulse':
+          this.sources.get('damageSub').triggerAttackRelease('E1', '8n', now);
+          ['C4', 'G4', 'C5'].forEach((note, index) => {
+            this.sources.get('powerUp').triggerAttackRelease(note, '32n', now + index * 0.03);
+          });
+          break;
+        case 'enemyStun':
+          this.sources.get('alert').triggerAttackRelease('F5', '32n', now + 0.05);
+          this.sources.get('alert').triggerAttackRelease('C5', '32n', now + 0.12);
+          break;
         case 'collect':
           ['E5', 'G5', 'B5', 'E6'].forEach((note, index) => {
             this.sources
@@ -98,6 +162,92 @@ export class AudioManager {
         case 'enemyAlert':
           this.sources.get('alert').triggerAttackRelease('A4', '32n', now);
           break;
+        case 'enemyPhase':
+          this.sources.get('jump').triggerAttackRelease('G1', '8n', now);
+          this.sources.get('alert').triggerAttackRelease('D6', '32n', now + 0.08);
+          break;
+        case 'enemySplit':
+          this.sources.get('damage').triggerAttackRelease('32n', now);
+          this.sources.get('alert').triggerAttackRelease('E5', '32n', now);
+          this.sources.get('alert').triggerAttackRelease('B5', '32n', now + 0.06);
+          break;
+        case 'enemyFire':
+          this.sources.get('alert').triggerAttackRelease('D3', '32n', now);
+          break;
+        case 'enemyDestroyed':
+          this.sources.get('damageSub').triggerAttackRelease('G1', '16n', now);
+          ['C5', 'G5', 'C6'].forEach((note, index) => {
+            this.sources
+              .get('collect')
+              .triggerAttackRelease(note, '32n', now + index * 0.04);
+          });
+          break;
+        case 'enemyRespawn':
+          this.sources.get('jump').triggerAttackRelease('C1', '4n', now);
+          this.sources.get('alert').triggerAttackRelease('F#4', '32n', now + 0.1);
+          break;
+        case 'wallWarning':
+          ['E3', 'E3'].forEach((note, index) => {
+            this.sources.get('alert').triggerAttackRelease(note, '32n', now + index * 0.12);
+          });
+          break;
+        case 'wallShift':
+          this.sources.get('damageSub').triggerAttackRelease('A0', '4n', now);
+          this.sources.get('damage').triggerAttackRelease('8n', now);
+          break;
+        case 'keyPickup':
+          ['A5', 'E6'].forEach((note, index) => {
+            this.sources.get('collect').triggerAttackRelease(note, '32n', now + index * 0.06);
+          });
+          break;
+        case 'doorUnlock':
+          this.sources.get('damageSub').triggerAttackRelease('D1', '8n', now);
+          this.sources.get('alert').triggerAttackRelease('A5', '32n', now + 0.1);
+          break;
+        case 'goalActive':
+          ['G4', 'C5', 'E5', 'G5'].forEach((note, index) => {
+            this.sources.get('levelUp').triggerAttackRelease(note, '16n', now + index * 0.08);
+          });
+          break;
+        case 'teleport':
+          this.sources.get('jump').triggerAttackRelease('C2', '8n', now);
+          ['G5', 'D6'].forEach((note, index) => {
+            this.sources.get('alert').triggerAttackRelease(note, '32n', now + 0.05 + index * 0.05);
+          });
+          break;
+        case 'liftDepart':
+          this.sources.get('jump').triggerAttackRelease('A1', '4n', now);
+          this.sources.get('alert').triggerAttackRelease('E5', '32n', now);
+          break;
+        case 'liftArrive':
+          ['E5', 'A5'].forEach((note, index) => {
+            this.sources.get('collect').triggerAttackRelease(note, '32n', now + index * 0.08);
+          });
+          break;
+        case 'laserHit':
+          this.sources.get('alert').triggerAttackRelease('B6', '32n', now);
+          this.sources.get('damage').triggerAttackRelease('32n', now);
+          break;
+        case 'shock':
+          [0, 0.04, 0.08].forEach((offset) => {
+            this.sources.get('move').triggerAttackRelease(
+              900 + Math.random() * 600,
+              '64n',
+              now + offset,
+            );
+          });
+          break;
+        case 'slowField':
+          this.sources.get('jump').triggerAttackRelease('E2', '4n', now);
+          break;
+        case 'crumble':
+          this.sources.get('damage').triggerAttackRelease('16n', now);
+          this.sources.get('damageSub').triggerAttackRelease('F1', '16n', now);
+          break;
+        case 'collapse':
+          this.sources.get('damageSub').triggerAttackRelease('C1', '4n', now);
+          this.sources.get('damage').triggerAttackRelease('4n', now + 0.05);
+          break;
         case 'boost':
           this.sources.get('boostEnv')?.triggerAttack(now);
           break;
@@ -1,8 +1,16 @@
+/** Release version stamped into replays so mismatched builds can be flagged. */
+export const GAME_VERSION = '1.2.0';
+
 /**
  * Core configuration constants shared across the entire game.
  * The values are grouped for readability and to centralize tuning knobs.
+ * Per-step values (energy costs, particle lifetimes, intervals) are counted in
+ * simulation ticks of `FIXED_TIMESTEP` seconds, independent of display rate.
  */
 export const GAME_CONSTANTS = Object.freeze({
+  FIXED_TIMESTEP: 1 / 60,
+  MAX_FRAME_TIME: 0.25,
+  MAX_STEPS_PER_FRAME: 10,
   INITIAL_MAZE_SIZE: 31,
   CELL_SIZE: 2.5,
   WALL_HEIGHT: 3,
@@ -12,6 +20,11 @@ export const GAME_CONSTANTS = Object.freeze({
   JUMP_FORCE: 30.0,
   JUMP_COST: 25,
   JUMP_COOLDOWN: 1500,
+  PULSE_COST: 35,
+  PULSE_COOLDOWN: 5000,
+  PULSE_RADIUS: 7.5,
+  PULSE_KNOCKBACK_FORCE: 16,
+  STUN_DURATION_TICKS: 180,
   BOOST_MULTIPLIER: 2.5,
   ENERGY_REGEN_RATE: 0.2,
   ENERGY_BOOST_COST: 0.5,
@@ -26,13 +39,59 @@ export const GAME_CONSTANTS = Object.freeze({
   PARTICLE_LIFE_VARIANCE: 20,
   PARTICLE_GRAVITY: 0.008,
   ENEMY_CONTACT_RADIUS: 1.0,
+  ENEMY_RADIUS: 0.45,
+  ENEMY_SEPARATION_RADIUS: 1.0,
+  ENEMY_SEPARATION_WEIGHT: 2.0,
+  ENEMY_AVOID_LOOKAHEAD: 1.2,
+  ENEMY_AVOID_WEIGHT: 0.5,
+  ENEMY_ARRIVE_RADIUS: 2.5,
+  ENEMY_DESTROY_POINTS: 200,
+  ENEMY_DESTROY_CHAIN_CAP: 3,
+  ENEMY_RESPAWN_TICKS: 600,
+  ENEMY_MAX_COUNT: 40,
+  FLEE_SAFETY_FACTOR: 1.2,
+  FLEE_SPEED_MULTIPLIER: 1.1,
   ENEMY_CONTACT_DAMAGE: 20,
   ENEMY_KNOCKBACK_FORCE: 15.0,
   CHASER_BASE_SPEED: 2.0,
   PATROL_BASE_SPEED: 1.5,
   CHASER_SPEED_MULTIPLIER: 1.5,
-  AI_CHASE_RADIUS: 10.0,
-  AI_PATROL_RADIUS: 15.0,
+  AMBUSHER_SPEED: 2.2,
+  AMBUSH_LOOKAHEAD_SECONDS: 1.5,
+  AMBUSH_REPATH_TICKS: 20,
+  AMBUSH_CLOSE_IN_RADIUS: 4.0,
+  PHASER_SPEED: 1.8,
+  PHASER_COOLDOWN_TICKS: 300,
+  PHASER_MIN_SHORTCUT: 6,
+  SENTRY_FIRE_INTERVAL_TICKS: 90,
+  SENTRY_SWEEP_TICKS: 150,
+  SPLITTER_SPEED: 1.7,
+  SPLITTER_CHILD_SCALE: 0.6,
+  SPLITTER_CHILD_SPEED_MULTIPLIER: 1.3,
+  PROJECTILE_SPEED: 4.0,
+  PROJECTILE_RADIUS: 0.25,
+  PROJECTILE_DAMAGE: 15,
+  PROJECTILE_LIFETIME_TICKS: 600,
+  AI_VISION_RANGE: 12.0,
+  AI_VISION_HALF_ANGLE: Math.PI / 3.5,
+  AI_AWARENESS_RADIUS: 2.5,
+  AI_LOSE_TRACK_TICKS: 45,
+  AI_INVESTIGATE_SPEED_MULTIPLIER: 1.2,
+  AI_INVESTIGATE_TIMEOUT_TICKS: 1800,
+  AI_SEARCH_RADIUS: 8,
+  AI_SEARCH_POINTS: 4,
+  AI_SEARCH_DURATION_TICKS: 1200,
+  SQUAD_REASSIGN_TICKS: 30,
+  SQUAD_FLANK_RADIUS: 10,
+  SQUAD_FLANK_MIN_STEPS: 3,
+  SQUAD_FLANK_MIN_ALIGNMENT: -0.2,
+  SQUAD_RESERVE_DISTANCE: 10,
+  NOISE_RADIUS_BOOST: 10.0,
+  NOISE_RADIUS_PHASE_DASH: 14.0,
+  NOISE_RADIUS_SCRAPE: 6.0,
+  NOISE_WALL_DAMPING: 0.5,
+  PATH_SEARCH_BUDGET: 1500,
+  PATH_CACHE_SIZE: 256,
   SHIELD_DURATION_MS: 8000,
   SPEED_DURATION_MS: 10000,
   MULTIPLIER_DURATION_MS: 15000,
@@ -44,8 +103,61 @@ export const GAME_CONSTANTS = Object.freeze({
   AI_DIRECTION_CHANGE_INTERVAL: 120,
   MOVE_SOUND_INTERVAL: 12,
   FOG_OF_WAR_RADIUS: 2,
+  MAZE_BRAID_FACTOR: 0.1,
+  MOVING_WALL_MIN_LEVEL: 2,
+  MOVING_WALL_MAX: 8,
+  MOVING_WALL_CLEARANCE: 3,
+  MOVING_WALL_PERIOD_TICKS: 300,
+  MOVING_WALL_PERIOD_VARIANCE_TICKS: 180,
+  MOVING_WALL_WARNING_TICKS: 90,
+  MOVING_WALL_SHIFT_TICKS: 20,
+  KEYCARD_MIN_LEVEL: 3,
+  KEYCARD_LEVELS_PER_DOOR: 3,
+  KEYCARD_PICKUP_RADIUS: 1.2,
+  DOOR_UNLOCK_RANGE: 0.4,
+  DOOR_OPEN_TICKS: 30,
+  TELEPORTER_MIN_LEVEL: 4,
+  TELEPORTER_PAIRS_MAX: 3,
+  PORTAL_MIN_LEVEL: 6,
+  PORTAL_MAX: 3,
+  TELEPORTER_SEPARATION: 8,
+  TELEPORTER_RADIUS: 0.8,
+  TELEPORTER_COOLDOWN_TICKS: 120,
+  HAZARD_DENSITY_PER_LEVEL: 0.008,
+  HAZARD_MAX_DENSITY: 0.08,
+  HAZARD_CLEARANCE: 3,
+  LASER_PERIOD_TICKS: 150,
+  LASER_ON_TICKS: 60,
+  LASER_DAMAGE: 20,
+  SHOCK_PERIOD_TICKS: 180,
+  SHOCK_CHARGED_TICKS: 70,
+  SHOCK_DAMAGE: 10,
+  SLOW_FIELD_FORCE_SCALE: 0.45,
+  CRUMBLE_DELAY_TICKS: 45,
+  CRUMBLE_RESET_TICKS: 300,
+  CRUMBLE_DAMAGE: 15,
+  FLOOR_HEIGHT: 4,
+  MULTI_FLOOR_MIN_LEVEL: 7,
+  LEVELS_PER_FLOOR: 6,
+  MAX_FLOORS: 3,
+  LIFTS_PER_FLOOR: 2,
+  LIFT_CLEARANCE: 3,
+  LIFT_RADIUS: 0.8,
+  LIFT_TRAVEL_TICKS: 45,
+  LIFT_COOLDOWN_TICKS: 90,
 });
 
+/** Maze generation algorithm used for each level, cycling once exhausted. */
+export const MAZE_ALGORITHM_ROTATION = Object.freeze([
+  'backtracker',
+  'prim',
+  'kruskal',
+  'growingTree',
+  'wilson',
+  'eller',
+  'rooms',
+]);
+
 /** Palette used for all visual and audio cues. */
 export const COLORS = Object.freeze({
   primary: 0x00f4ff,
@@ -56,6 +168,69 @@ export const COLORS = Object.freeze({
   wall: 0x2a4858,
   ground: 0x1a2332,
   sparks: 0xffd700,
+  lift: 0xf2f7ff,
+});
+
+/** Render and minimap colors for each enemy type. */
+export const ENEMY_COLORS = Object.freeze({
+  patrol: COLORS.warning,
+  chaser: 0xff0066,
+  ambusher: 0xffcc00,
+  sentry: 0xff2a2a,
+  phaser: COLORS.accent,
+  splitter: 0x66ff33,
+});
+
+/** AI debug overlay colors for each enemy FSM state, falling back to white. */
+export const AI_STATE_COLORS = Object.freeze({
+  patrolling: COLORS.success,
+  guarding: COLORS.success,
+  investigating: COLORS.warning,
+  searching: COLORS.sparks,
+  chasing: ENEMY_COLORS.chaser,
+  fleeing: COLORS.secondary,
+  stunned: 0xffffff,
+});
+
+/**
+ * Keycard colors in the order their doors must be opened; a level with
+ * locked doors uses the first few. Each key opens the door of its color.
+ */
+export const KEYCARD_COLORS = Object.freeze({
+  red: 0xff3355,
+  amber: 0xffaa00,
+  lime: 0x7dff3a,
+  violet: 0xb04dff,
+});
+
+/** Teleporter colors: two-way pads, and one-way portal entrances and exits. */
+export const TELEPORTER_COLORS = Object.freeze({
+  pad: 0x3dffd0,
+  portal: 0xff4fd8,
+});
+
+/** First level each hazard kind appears on. */
+export const HAZARD_LEVELS = Object.freeze({
+  slow: 2,
+  laser: 3,
+  shock: 4,
+  crumble: 5,
+});
+
+/** Extra pathfinding cost enemies pay to cross a cell with each hazard kind. */
+export const HAZARD_PATH_COSTS = Object.freeze({
+  laser: 6,
+  shock: 4,
+  slow: 2,
+  crumble: 3,
+});
+
+/** Render and minimap colors for each hazard kind. */
+export const HAZARD_COLORS = Object.freeze({
+  laser: 0xff2244,
+  shock: 0x66ccff,
+  slow: 0x9966ff,
+  crumble: 0x8a6a4a,
 });
 
 /** Maps keyboard events to the logical input actions used by the game. */
@@ -69,6 +244,7 @@ export const ACTION_BINDINGS = Object.freeze({
   KeyD: 'MOVE_RIGHT',
   ArrowRight: 'MOVE_RIGHT',
   Space: 'JUMP',
+  KeyE: 'PULSE',
   ShiftLeft: 'BOOST',
   ShiftRight: 'BOOST',
 });
@@ -1,5 +1,7 @@
 /**
- * Minimal event emitter used by UI and state objects.
+ * Minimal event emitter used by UI, state and simulation objects.
+ * Listeners receive `(payload, event)`; registering for `'*'` receives every
+ * event. A throwing listener is logged and does not stop the others.
  */
 export class Emitter {
   constructor() {
@@ -7,27 +9,72 @@ export class Emitter {
   }
 
   /**
-   * Register a listener for a specific event.
+   * Register a listener for a specific event, or `'*'` for all events.
    * @param {string} event
-   * @param {(payload: unknown) => void} listener
+   * @param {(payload: unknown, event: string) => void} listener
+   * @returns {() => void} Unsubscribes the listener.
    */
   on(event, listener) {
     if (!this.events.has(event)) {
       this.events.set(event, new Set());
     }
     this.events.get(event).add(listener);
+    return () => this.off(event, listener);
   }
 
   /**
-   * Emit an event to all listeners.
+   * Register a listener that is removed after its first call.
+   * @param {string} event
+   * @param {(payload: unknown, event: string) => void} listener
+   * @returns {() => void} Unsubscribes the listener.
+   */
+  once(event, listener) {
+    const wrapper = (payload, name) => {
+      this.off(event, wrapper);
+      listener(payload, name);
+    };
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Remove a listener added with `on` or `once`.
+   * @param {string} event
+   * @param {(payload: unknown, event: string) => void} listener
+   */
+  off(event, listener) {
+    const listeners = this.events.get(event);
+    if (!listeners) return;
+    for (const registered of listeners) {
+      if (registered === listener || registered.listener === listener) {
+        listeners.delete(registered);
+      }
+    }
+    if (listeners.size === 0) {
+      this.events.delete(event);
+    }
+  }
+
+  /**
+   * Emit an event to its listeners, then to wildcard listeners.
    * @param {string} event
    * @param {unknown} payload
    */
   emit(event, payload) {
-    const listeners = this.events.get(event);
+    this.#notify(this.events.get(event), event, payload);
+    if (event !== '*') {
+      this.#notify(this.events.get('*'), event, payload);
+    }
+  }
+
+  #notify(listeners, event, payload) {
     if (!listeners) return;
-    for (const listener of listeners) {
-      listener(payload);
+    for (const listener of [...listeners]) {
+      try {
+        listener(payload, event);
+      } catch (error) {
+        console.error(`Listener for "${event}" failed`, error);
+      }
     }
   }
 }
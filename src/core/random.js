@@ -0,0 +1,62 @@
+/**
+ * Seedable pseudo-random number generation so mazes and level layouts can be
+ * reproduced. String seeds are hashed into a 32-bit state that drives a
+ * mulberry32 generator.
+ */
+export class SeededRandom {
+  constructor(seed) {
+    this.seed = String(seed);
+    this.state = hashSeed(this.seed);
+  }
+
+  /** Returns a float in the range [0, 1). */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) | 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /** Returns an integer in the range [0, max). */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  pick(items) {
+    return items[this.int(items.length)];
+  }
+
+  /**
+   * Derives an independent generator so separate concerns (maze carving,
+   * entity placement, AI) do not shift each other's sequences.
+   * @param {string} label
+   */
+  fork(label) {
+    return new SeededRandom(`${this.seed}/${label}`);
+  }
+}
+
+/**
+ * Hashes an arbitrary string into a 32-bit unsigned integer.
+ * @param {string} text
+ */
+export function hashSeed(text) {
+  let h = 1779033703 ^ text.length;
+  for (let i = 0; i < text.length; i += 1) {
+    h = Math.imul(h ^ text.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/** Creates a short, human friendly seed for runs started without one. */
+export function createRandomSeed() {
+  return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+}
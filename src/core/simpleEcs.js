@@ -1,7 +1,13 @@
+/** Scheduler phases, in the order a frame runs them. */
+export const SYSTEM_PHASES = Object.freeze(['input', 'simulate', 'postSimulate', 'render']);
+
 /**
  * Lightweight entity-component system tailored for this game.
- * Components are stored as plain objects keyed by entity id, and
- * queries are cached sets of entity ids matching component combinations.
+ * Each component stores its data in a sparse set keyed by entity id, and
+ * queries are cached sets of entity ids kept up to date incrementally: every
+ * component knows which queries mention it, so adding or removing it only
+ * re-checks those queries. Systems are registered into phases and run in
+ * dependency order by `runPhase()`.
  */
 export class SimpleECS {
   constructor() {
@@ -9,49 +15,62 @@ export class SimpleECS {
     this.nextEntityId = 1;
     this.componentRegistry = new Map();
     this.queryCache = new Map();
+    this.systems = new Map();
+    this.phaseOrder = new Map();
   }
 
   createWorld() {
     return this;
   }
 
-  addEntity() {
-    const id = this.nextEntityId++;
+  /**
+   * @param {object} [world]
+   * @param {number} [id] Explicit id, used when restoring a saved world.
+   */
+  addEntity(world, id = this.nextEntityId) {
     this.entities.add(id);
+    this.nextEntityId = Math.max(this.nextEntityId, id + 1);
     return id;
   }
 
+  /**
+   * Removes an entity and all of its components. Queries it belonged to fire
+   * their `onExit` listeners before any component data is dropped.
+   */
   removeEntity(world, id) {
     if (!this.entities.has(id)) return;
     this.entities.delete(id);
-    for (const cache of this.queryCache.values()) {
-      cache.delete(id);
+    for (const query of this.queryCache.values()) {
+      query.exit(id);
     }
     for (const component of this.componentRegistry.values()) {
-      delete component.data[id];
+      component.store.delete(id);
     }
   }
 
-  defineComponent() {
-    const componentData = {};
-    const componentName = `c${this.componentRegistry.size}`;
+  /**
+   * @param {string} [name] Stable name used to key saved component data.
+   */
+  defineComponent(name = `c${this.componentRegistry.size}`) {
+    const store = new SparseSet();
+    const queries = [];
     const component = {
-      name: componentName,
-      data: componentData,
+      name,
+      store,
+      queries,
       add: (id, initialValues = {}) => {
-        componentData[id] = { ...initialValues };
-        this.#updateCaches(id, componentName);
+        store.set(id, { ...initialValues });
+        for (const query of queries) query.refresh(id);
       },
-      has: (id) => id in componentData,
-      get: (id) => componentData[id],
+      has: (id) => store.has(id),
+      get: (id) => store.get(id),
       remove: (id) => {
-        if (id in componentData) {
-          delete componentData[id];
-          this.#updateCaches(id, componentName);
+        if (store.delete(id)) {
+          for (const query of queries) query.refresh(id);
         }
       },
     };
-    this.componentRegistry.set(componentName, component);
+    this.componentRegistry.set(name, component);
     return component;
   }
 
@@ -67,36 +86,256 @@ export class SimpleECS {
     return component.has(id);
   }
 
-  defineQuery(components) {
-    const queryKey = components.map((c) => c.name).sort().join(',');
-    if (!this.queryCache.has(queryKey)) {
-      const cache = new Set();
+  /**
+   * Defines (or reuses) a cached query. Terms are components the entity must
+   * have, `Not(...)` components it must lack, and `Any(...)` groups of which
+   * it must have at least one.
+   * @param {Array<object>} terms
+   * @returns {(() => Set<number>) & { onEnter: (listener: (id: number) => void) => void,
+   *   onExit: (listener: (id: number) => void) => void }}
+   *   Returns the live set of matching ids. `onEnter`/`onExit` listeners run
+   *   whenever an entity starts or stops matching.
+   */
+  defineQuery(terms) {
+    const all = [];
+    const none = [];
+    const any = [];
+    for (const term of terms) {
+      if (term instanceof QueryTerm) {
+        (term.kind === 'not' ? none : any).push(term.components);
+      } else {
+        all.push(term);
+      }
+    }
+    if (all.length === 0 && any.length === 0) {
+      throw new Error('A query needs at least one required or Any() term');
+    }
+
+    const key = [
+      all.map((c) => c.name).sort().join(','),
+      none.flat().map((c) => c.name).sort().join(','),
+      ...any.map((group) => group.map((c) => c.name).sort().join(',')).sort(),
+    ].join('|');
+
+    if (!this.queryCache.has(key)) {
+      const query = new Query(all, none.flat(), any);
+      for (const component of new Set([...all, ...none.flat(), ...any.flat()])) {
+        component.queries.push(query);
+      }
       for (const id of this.entities) {
-        if (components.every((component) => component.has(id))) {
-          cache.add(id);
-        }
+        if (query.matches(id)) query.ids.add(id);
       }
-      this.queryCache.set(queryKey, cache);
+      this.queryCache.set(key, query);
     }
-    return () => this.queryCache.get(queryKey);
+
+    const query = this.queryCache.get(key);
+    const read = () => query.ids;
+    read.onEnter = (listener) => query.enterListeners.push(listener);
+    read.onExit = (listener) => query.exitListeners.push(listener);
+    return read;
   }
 
   entityExists(world, id) {
     return this.entities.has(id);
   }
 
-  #updateCaches(id, componentName) {
-    for (const [queryKey, cache] of this.queryCache.entries()) {
-      const componentsInQuery = queryKey.split(',');
-      if (!componentsInQuery.includes(componentName)) continue;
-      const matches = componentsInQuery.every((name) =>
-        this.componentRegistry.get(name)?.has(id),
+  /**
+   * Registers a system with the scheduler.
+   * @param {string} name Unique system name, referenced by ordering constraints.
+   * @param {(context: unknown) => void} run Called with the `runPhase` context.
+   * @param {{ phase?: string, before?: string[], after?: string[],
+   *   runIf?: (context: unknown) => boolean, enabled?: boolean }} [options]
+   *   `before`/`after` name systems of the same phase; constraints on systems
+   *   that are missing or live in another phase are ignored.
+   */
+  addSystem(name, run, {
+    phase = 'simulate',
+    before = [],
+    after = [],
+    runIf = null,
+    enabled = true,
+  } = {}) {
+    if (this.systems.has(name)) {
+      throw new Error(`System already registered: ${name}`);
+    }
+    if (!SYSTEM_PHASES.includes(phase)) {
+      throw new Error(`Unknown system phase: ${phase}`);
+    }
+    this.systems.set(name, { name, run, phase, before, after, runIf, enabled });
+    this.phaseOrder.clear();
+  }
+
+  removeSystem(name) {
+    this.systems.delete(name);
+    this.phaseOrder.clear();
+  }
+
+  /** Turns a system on or off without changing its place in the order. */
+  setSystemEnabled(name, enabled) {
+    const system = this.systems.get(name);
+    if (!system) {
+      throw new Error(`Unknown system: ${name}`);
+    }
+    system.enabled = enabled;
+  }
+
+  isSystemEnabled(name) {
+    return this.systems.get(name)?.enabled ?? false;
+  }
+
+  /** System names of `phase` in the order they run. */
+  systemOrder(phase) {
+    return this.#orderPhase(phase).map((system) => system.name);
+  }
+
+  /**
+   * Runs every enabled system of `phase` whose run condition passes.
+   * @param {string} phase
+   * @param {unknown} [context] Passed to each system and run condition.
+   */
+  runPhase(phase, context) {
+    for (const system of this.#orderPhase(phase)) {
+      if (!system.enabled || (system.runIf && !system.runIf(context))) continue;
+      system.run(context);
+    }
+  }
+
+  /**
+   * Topologically sorts a phase's systems by their before/after constraints,
+   * keeping registration order among unconstrained systems. Cached until the
+   * system set changes.
+   */
+  #orderPhase(phase) {
+    if (this.phaseOrder.has(phase)) return this.phaseOrder.get(phase);
+
+    const systems = [...this.systems.values()].filter((system) => system.phase === phase);
+    const names = new Set(systems.map((system) => system.name));
+    const dependencies = new Map(systems.map((system) => [system.name, new Set()]));
+    for (const system of systems) {
+      for (const other of system.after) {
+        if (names.has(other)) dependencies.get(system.name).add(other);
+      }
+      for (const other of system.before) {
+        if (names.has(other)) dependencies.get(other).add(system.name);
+      }
+    }
+
+    const ordered = [];
+    const pending = [...systems];
+    while (pending.length > 0) {
+      const index = pending.findIndex((system) =>
+        [...dependencies.get(system.name)].every((dep) => ordered.some((done) => done.name === dep)),
       );
-      if (matches) {
-        cache.add(id);
-      } else {
-        cache.delete(id);
+      if (index < 0) {
+        throw new Error(`System ordering cycle in phase "${phase}": ${pending.map((s) => s.name).join(', ')}`);
       }
+      ordered.push(...pending.splice(index, 1));
     }
+
+    this.phaseOrder.set(phase, ordered);
+    return ordered;
+  }
+}
+
+/**
+ * Query term matching entities that have none of the given components.
+ * @param {...object} components
+ */
+export function Not(...components) {
+  return new QueryTerm('not', components);
+}
+
+/**
+ * Query term matching entities that have at least one of the given components.
+ * @param {...object} components
+ */
+export function Any(...components) {
+  return new QueryTerm('any', components);
+}
+
+class QueryTerm {
+  constructor(kind, components) {
+    this.kind = kind;
+    this.components = components;
+  }
+}
+
+/** Cached query state: its match rules, matching ids and change listeners. */
+class Query {
+  constructor(all, none, any) {
+    this.all = all;
+    this.none = none;
+    this.any = any;
+    this.ids = new Set();
+    this.enterListeners = [];
+    this.exitListeners = [];
+  }
+
+  matches(id) {
+    return this.all.every((c) => c.has(id)) &&
+      !this.none.some((c) => c.has(id)) &&
+      this.any.every((group) => group.some((c) => c.has(id)));
+  }
+
+  /** Re-evaluates one entity after one of the query's components changed. */
+  refresh(id) {
+    if (this.matches(id)) {
+      if (this.ids.has(id)) return;
+      this.ids.add(id);
+      for (const listener of this.enterListeners) listener(id);
+    } else {
+      this.exit(id);
+    }
+  }
+
+  exit(id) {
+    if (!this.ids.delete(id)) return;
+    for (const listener of this.exitListeners) listener(id);
+  }
+}
+
+/**
+ * Sparse set of values keyed by entity id: O(1) add, remove and lookup with
+ * values packed densely for iteration.
+ */
+class SparseSet {
+  constructor() {
+    this.sparse = [];
+    this.ids = [];
+    this.values = [];
+  }
+
+  has(id) {
+    const index = this.sparse[id];
+    return index !== undefined && this.ids[index] === id;
+  }
+
+  get(id) {
+    return this.has(id) ? this.values[this.sparse[id]] : undefined;
+  }
+
+  set(id, value) {
+    if (this.has(id)) {
+      this.values[this.sparse[id]] = value;
+      return;
+    }
+    this.sparse[id] = this.ids.length;
+    this.ids.push(id);
+    this.values.push(value);
+  }
+
+  /** @returns {boolean} Whether the id was present. */
+  delete(id) {
+    if (!this.has(id)) return false;
+    const index = this.sparse[id];
+    const lastIndex = this.ids.length - 1;
+    const lastId = this.ids[lastIndex];
+    this.ids[index] = lastId;
+    this.values[index] = this.values[lastIndex];
+    this.sparse[lastId] = index;
+    this.ids.pop();
+    this.values.pop();
+    this.sparse[id] = undefined;
+    return true;
   }
 }
@@ -0,0 +1,135 @@
+import { GAME_CONSTANTS } from '../constants.js';
+
+/** Whether the player holds a shield power-up, as opposed to i-frames. */
+function playerShielded(fsm) {
+  const { game } = fsm;
+  return game.InvulnerabilityShield.get(game.state.playerEid)?.powerUp === true;
+}
+
+/** Whether an energy pulse has the enemy stunned. */
+function stunned(fsm) {
+  return fsm.game.state.tick < fsm.ai.stunnedUntil;
+}
+
+/**
+ * Transition guards by name: predicates over the enemy's state machine,
+ * checked before its behaviours run each tick.
+ */
+export const ENEMY_GUARDS = Object.freeze({
+  playerShielded,
+  playerExposed: (fsm) => !playerShielded(fsm),
+  stunned,
+  stunOver: (fsm) => !stunned(fsm),
+  seesPlayer: (fsm) => fsm.perception.seesPlayer,
+  heardNoise: (fsm) => fsm.perception.heard !== null,
+  lostTrack: (fsm) =>
+    fsm.game.state.tick - fsm.perception.lastSensedTick > GAME_CONSTANTS.AI_LOSE_TRACK_TICKS,
+  investigationOver: (fsm) =>
+    !fsm.perception.lastKnown ||
+    fsm.ai.goalReached ||
+    fsm.game.state.tick - fsm.ai.stateTick > GAME_CONSTANTS.AI_INVESTIGATE_TIMEOUT_TICKS,
+  searchOver: (fsm) =>
+    fsm.ai.searchPoints.length === 0 ||
+    fsm.game.state.tick - fsm.ai.stateTick > GAME_CONSTANTS.AI_SEARCH_DURATION_TICKS,
+});
+
+/** Transition effects by name, run between leaving and entering states. */
+export const ENEMY_EFFECTS = Object.freeze({
+  forgetPlayer: (fsm) => {
+    fsm.perception.lastKnown = null;
+  },
+});
+
+/**
+ * Behaviour of an enemy that wanders until something gets its attention.
+ * `chase` is the `params` of its chasing state, or `null` for enemies that
+ * only ever go and look.
+ *
+ * Everything but `fleeing` (and `stunned`, see `stunnable()`) sits under
+ * `active`, whose deep history lets the enemy pick its routine back up where
+ * it left off once the player's shield runs out.
+ */
+function wanderer(chase) {
+  const alertStates = {
+    investigating: { behaviour: 'investigating' },
+    searching: { behaviour: 'searching' },
+  };
+  const transitions = [
+    { from: 'active', to: 'fleeing', when: 'playerShielded' },
+    { from: 'fleeing', to: 'active', when: 'playerExposed' },
+  ];
+  if (chase) {
+    alertStates.chasing = { behaviour: 'chasing', params: chase };
+    transitions.push(
+      { from: ['calm', 'investigating', 'searching'], to: 'chasing', when: 'seesPlayer' },
+      { from: 'chasing', to: 'investigating', when: 'lostTrack' },
+    );
+  }
+  transitions.push(
+    { from: ['calm', 'searching'], to: 'investigating', when: 'heardNoise' },
+    { from: 'investigating', to: 'searching', when: 'investigationOver' },
+    { from: 'searching', to: 'calm', when: 'searchOver', effect: 'forgetPlayer' },
+  );
+  return {
+    initial: 'active',
+    states: {
+      active: {
+        initial: 'calm',
+        history: 'deep',
+        states: {
+          calm: {
+            initial: 'patrolling',
+            states: { patrolling: { behaviour: 'patrolling' } },
+          },
+          alert: { initial: 'investigating', states: alertStates },
+        },
+      },
+      fleeing: { behaviour: 'fleeing' },
+    },
+    transitions,
+  };
+}
+
+/**
+ * Adds a top-level `stunned` state to a behaviour config, entered from any
+ * other top-level state while an energy pulse has the enemy stunned and left
+ * for `initial` once it wears off, ahead of every other transition.
+ */
+function stunnable({ initial, states, transitions }) {
+  return {
+    initial,
+    states: { ...states, stunned: { behaviour: 'stunned' } },
+    transitions: [
+      { from: Object.keys(states), to: 'stunned', when: 'stunned' },
+      { from: 'stunned', to: initial, when: 'stunOver' },
+      ...transitions,
+    ],
+  };
+}
+
+/**
+ * Behaviour configs by name, referenced from `ENEMY_ARCHETYPES`. A config is a
+ * tree of states: a leaf names an `ENEMY_STATES` behaviour (plus optional
+ * `params`), a composite lists child `states`, the `initial` one to enter and
+ * optionally `history: 'shallow' | 'deep'`. State names are unique within a
+ * config. `transitions` are tried in order while their `from` state (or one of
+ * several) is active, and the first whose `when` guards all pass is taken,
+ * running its optional `effect`.
+ */
+export const ENEMY_BEHAVIOURS = Object.freeze({
+  wanderer: stunnable(wanderer(null)),
+  hunter: stunnable(wanderer({ steering: 'flow' })),
+  ambusher: stunnable(wanderer({ steering: 'intercept' })),
+  phaser: stunnable(wanderer({ steering: 'phase' })),
+  sentry: stunnable({
+    initial: 'active',
+    states: {
+      active: {
+        initial: 'guarding',
+        history: 'deep',
+        states: { guarding: { behaviour: 'guarding' } },
+      },
+    },
+    transitions: [],
+  }),
+});
@@ -1,32 +1,235 @@
-import { PatrollingState } from './states.js';
+import { ENEMY_ARCHETYPES } from '../ai/enemyArchetypes.js';
+import { ENEMY_BEHAVIOURS, ENEMY_EFFECTS, ENEMY_GUARDS } from './behaviours.js';
+import { ENEMY_STATES } from './states.js';
+
+/** Transitions kept per enemy in `transitionLog`. */
+const TRANSITION_LOG_SIZE = 32;
+
+/** Compiled behaviour configs, shared by every enemy using the same config. */
+const compiledMachines = new WeakMap();
 
 /**
- * Wraps enemy behaviour inside a modular state machine.
+ * Hierarchical state machine driving one enemy from a behaviour config in
+ * `ENEMY_BEHAVIOURS` (see there for the config format).
+ *
+ * The active configuration is a path from the root to one leaf state. Each
+ * tick the first transition whose source is on that path and whose guards
+ * pass is taken: states are exited from the leaf up to the nearest common
+ * ancestor with the target, effects run, and states are entered down to the
+ * target's leaf, resolved through `initial` children or remembered history.
+ * Then every active state's behaviour updates, outermost first.
  */
 export class FiniteStateMachine {
-  constructor(game, entityId) {
+  /**
+   * @param {object} game Simulation that owns the enemy's components.
+   * @param {number} entityId
+   * @param {{ state: string, history: Record<string, string> } | null} [saved]
+   *   Output of `toJSON()`, resumed without re-entering any state when
+   *   restoring a saved run. Otherwise the enemy enters its initial states.
+   */
+  constructor(game, entityId, saved = null) {
     this.game = game;
     this.entityId = entityId;
     this.ai = game.AI.get(entityId);
     this.enemy = game.Enemy.get(entityId);
     this.velocity = game.Velocity.get(entityId);
     this.position = game.Position.get(entityId);
-    this.currentState = new PatrollingState(this);
-    this.currentState.enter();
+    this.perception = game.Perception.get(entityId);
+    this.machine = compileBehaviour(ENEMY_BEHAVIOURS[ENEMY_ARCHETYPES[this.enemy.type].behaviour]);
+    /** Last active leaf name under each composite state with history. */
+    this.history = {};
+    /** @type {Array<{ tick: number, from: string | null, to: string, trigger: string }>} */
+    this.transitionLog = [];
+    /** @type {Array<{ node: object, behaviour: import('./states.js').FSMState | null }>} */
+    this.active = [];
+
+    const resumed = saved && this.machine.nodes.get(saved.state);
+    if (resumed?.children === null) {
+      Object.assign(this.history, saved.history);
+      this.active = ancestry(resumed).map((node) => ({ node, behaviour: this.#instantiate(node) }));
+    } else {
+      this.#enterFrom(0, this.#resolveLeaf(this.machine.root), 'start');
+    }
+  }
+
+  /** Name of the active leaf state, or `null` once cleaned up. */
+  get stateName() {
+    return this.active.at(-1)?.node.name ?? null;
+  }
+
+  /** Dotted path of the active states below the root, e.g. `active.alert.chasing`. */
+  get statePath() {
+    return this.active.slice(1).map(({ node }) => node.name).join('.');
+  }
+
+  /** Whether `name` is the active leaf or one of its ancestors. */
+  isIn(name) {
+    return this.active.some(({ node }) => node.name === name);
+  }
+
+  /**
+   * Forces a transition to the state called `name`, as if a transition from
+   * the current leaf had fired.
+   * @param {string} name
+   * @param {string} [trigger] Recorded in the transition log.
+   */
+  transitionTo(name, trigger = 'forced') {
+    const target = this.machine.nodes.get(name);
+    if (!target) throw new Error(`Unknown enemy state: ${name}`);
+    this.#transition(target, trigger);
   }
 
   update(playerPos, deltaTime) {
-    if (this.currentState) {
-      this.currentState.update(playerPos, deltaTime);
+    if (this.active.length === 0) return;
+    for (const transition of this.machine.transitions) {
+      if (!this.active.some(({ node }) => transition.from.has(node))) continue;
+      if (!transition.guards.every((guard) => guard(this))) continue;
+      this.#transition(transition.to, transition.trigger, transition.effect);
+      break;
+    }
+    for (const { behaviour } of this.active) {
+      behaviour?.update(playerPos, deltaTime);
     }
   }
 
+  /** Serializable state: the active leaf and the remembered history. */
+  toJSON() {
+    return { state: this.stateName, history: { ...this.history } };
+  }
+
   cleanup() {
-    this.currentState = null;
+    this.active = [];
+    this.transitionLog = [];
     this.ai = null;
     this.enemy = null;
     this.velocity = null;
     this.position = null;
+    this.perception = null;
+    this.machine = null;
     this.game = null;
   }
+
+  #transition(target, trigger, effect = null) {
+    const from = this.stateName;
+    for (const { node } of this.active) {
+      if (node.history) this.history[node.name] = from;
+    }
+    // Exit up to, but not including, the deepest ancestor shared with the
+    // target; the target itself is always exited and re-entered.
+    const leaf = this.#resolveLeaf(target);
+    const path = ancestry(leaf);
+    let shared = 1;
+    while (
+      shared < this.active.length &&
+      shared < target.depth &&
+      this.active[shared].node === path[shared]
+    ) {
+      shared += 1;
+    }
+    while (this.active.length > shared) {
+      this.active.pop().behaviour?.exit();
+    }
+    effect?.(this);
+    this.#enterFrom(shared, leaf, trigger, from);
+  }
+
+  /** Enters the states on the way from the root to `leaf`, from depth `depth`. */
+  #enterFrom(depth, leaf, trigger, from = null) {
+    const path = ancestry(leaf);
+    for (let index = depth; index < path.length; index += 1) {
+      const behaviour = this.#instantiate(path[index]);
+      this.active.push({ node: path[index], behaviour });
+      behaviour?.enter();
+    }
+    this.transitionLog.push({ tick: this.game.state.tick, from, to: leaf.name, trigger });
+    if (this.transitionLog.length > TRANSITION_LOG_SIZE) this.transitionLog.shift();
+  }
+
+  /** Follows history, then `initial` children, from `node` down to a leaf. */
+  #resolveLeaf(node) {
+    let current = node;
+    while (current.children) {
+      const remembered = current.history && this.machine.nodes.get(this.history[current.name]);
+      if (remembered && current.history === 'deep') return remembered;
+      const child = remembered
+        ? ancestry(remembered)[current.depth + 1]
+        : current.children.get(current.initial);
+      current = child;
+    }
+    return current;
+  }
+
+  #instantiate(node) {
+    const Behaviour = ENEMY_STATES[node.behaviour];
+    return Behaviour ? new Behaviour(this, node.params) : null;
+  }
+}
+
+/** Nodes from the root down to `node`, inclusive. */
+function ancestry(node) {
+  const path = [];
+  for (let current = node; current; current = current.parent) path.push(current);
+  return path.reverse();
+}
+
+/**
+ * Builds the node tree and transition table of a behaviour config once,
+ * validating every state, behaviour, guard and effect name it uses.
+ */
+function compileBehaviour(config) {
+  const cached = compiledMachines.get(config);
+  if (cached) return cached;
+
+  const nodes = new Map();
+  const build = (name, spec, parent) => {
+    if (nodes.has(name)) throw new Error(`Duplicate enemy state: ${name}`);
+    if (spec.behaviour && !ENEMY_STATES[spec.behaviour]) {
+      throw new Error(`Unknown state behaviour: ${spec.behaviour}`);
+    }
+    const node = {
+      name,
+      parent,
+      depth: parent ? parent.depth + 1 : 0,
+      behaviour: spec.behaviour ?? null,
+      params: spec.params ?? {},
+      history: spec.history ?? null,
+      initial: null,
+      children: null,
+    };
+    nodes.set(name, node);
+    if (spec.states) {
+      node.children = new Map(
+        Object.entries(spec.states).map(([childName, child]) => [
+          childName,
+          build(childName, child, node),
+        ]),
+      );
+      node.initial = spec.initial ?? node.children.keys().next().value;
+      if (!node.children.has(node.initial)) {
+        throw new Error(`Unknown initial state: ${node.initial}`);
+      }
+    }
+    return node;
+  };
+  const root = build('', { initial: config.initial, states: config.states }, null);
+  const states = Object.fromEntries(nodes);
+
+  const lookup = (table, name, kind) => {
+    if (!table[name]) throw new Error(`Unknown ${kind}: ${name}`);
+    return table[name];
+  };
+  const transitions = config.transitions.map(({ from, to, when = [], effect }) => {
+    const guards = [when].flat();
+    return {
+      from: new Set([from].flat().map((name) => lookup(states, name, 'enemy state'))),
+      to: lookup(states, to, 'enemy state'),
+      guards: guards.map((name) => lookup(ENEMY_GUARDS, name, 'transition guard')),
+      effect: effect ? lookup(ENEMY_EFFECTS, effect, 'transition effect') : null,
+      trigger: guards.join('+'),
+    };
+  });
+
+  const machine = { root, nodes, transitions };
+  compiledMachines.set(config, machine);
+  return machine;
 }
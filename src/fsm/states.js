@@ -1,11 +1,20 @@
 import { GAME_CONSTANTS } from '../constants.js';
+import { arrive } from '../ai/steering.js';
+import { GAME_EVENTS } from '../sim/gameEvents.js';
 
-const THREE = window.THREE;
-
-/** Base class for enemy AI states. */
+/**
+ * Base class for enemy state behaviours. A behaviour only acts out its state;
+ * when to leave it is decided by the transition table of the enemy's
+ * behaviour config (`./behaviours.js`).
+ */
 export class FSMState {
-  constructor(fsm) {
+  /**
+   * @param {import('./finiteStateMachine.js').FiniteStateMachine} fsm
+   * @param {object} [params] The state's `params` from the behaviour config.
+   */
+  constructor(fsm, params = {}) {
     this.fsm = fsm;
+    this.params = params;
   }
 
   enter() {}
@@ -13,6 +22,75 @@ export class FSMState {
   update() {}
 }
 
+const DIRECTIONS = Object.freeze([
+  [0, -1],
+  [0, 1],
+  [-1, 0],
+  [1, 0],
+]);
+
+/** Whether two cells are joined by a teleporter or lift link rather than side by side. */
+function isLinkStep(from, to) {
+  return Math.abs(to.x - from.x) + Math.abs(to.z - from.z) > 1;
+}
+
+/**
+ * World position to head for to step from `cell` to `next`: the next cell's
+ * centre, or for a link the centre of the pad or lift `cell` itself, where
+ * the crossing starts.
+ */
+function stepTarget(game, cell, next) {
+  return isLinkStep(cell, next) ? game.gridToWorld(cell.x, cell.z) : game.gridToWorld(next.x, next.z);
+}
+
+/** Plans `ai.path` from the enemy's cell to `cell`; false if none was found yet. */
+function pathTo(fsm, cell) {
+  const { ai, game, position } = fsm;
+  ai.path = game.findPath(game.worldToGrid(position.x, position.z, position.y), cell);
+  ai.pathIndex = 0;
+  return ai.path !== null;
+}
+
+/**
+ * Steers toward the next node of `ai.path` at `speed`, slowing on the
+ * approach to the last one. A node reached through a teleporter or lift link
+ * is waited for on the pad until the simulation carries the enemy across,
+ * which may skip it past the last node.
+ * @returns {boolean} Whether the last node has been reached.
+ */
+function followPath(fsm, speed) {
+  const { ai, velocity, position, game } = fsm;
+  if (ai.pathIndex >= ai.path.length) return true;
+  const node = ai.path[ai.pathIndex];
+  const previous = ai.path[ai.pathIndex - 1];
+  if (previous && isLinkStep(previous, node)) {
+    const desired = arrive(
+      position,
+      game.gridToWorld(previous.x, previous.z),
+      speed,
+      GAME_CONSTANTS.ENEMY_ARRIVE_RADIUS,
+    );
+    velocity.x = desired.x;
+    velocity.z = desired.z;
+    return false;
+  }
+  const target = game.gridToWorld(node.x, node.z);
+  const distance = Math.hypot(target.x - position.x, target.z - position.z);
+  if (distance < 1.0) {
+    ai.pathIndex += 1;
+    return ai.pathIndex >= ai.path.length;
+  }
+  if (ai.pathIndex === ai.path.length - 1) {
+    const desired = arrive(position, target, speed, GAME_CONSTANTS.ENEMY_ARRIVE_RADIUS);
+    velocity.x = desired.x;
+    velocity.z = desired.z;
+    return false;
+  }
+  velocity.x = ((target.x - position.x) / distance) * speed;
+  velocity.z = ((target.z - position.z) / distance) * speed;
+  return false;
+}
+
 /** Enemy patrol state responsible for random wandering. */
 export class PatrollingState extends FSMState {
   enter() {
@@ -22,118 +100,362 @@ export class PatrollingState extends FSMState {
     this.#findNewPatrolPoint();
   }
 
-  update(playerPos) {
-    const { ai, enemy, velocity, position, game } = this.fsm;
-    const distanceToPlayer = Math.hypot(
-      playerPos.x - position.x,
-      playerPos.z - position.z,
-    );
-    if (
-      enemy.type === 'chaser' &&
-      distanceToPlayer < GAME_CONSTANTS.AI_CHASE_RADIUS
-    ) {
-      this.fsm.currentState = new ChasingState(this.fsm);
-      return;
-    }
-
+  update() {
+    const { ai, enemy } = this.fsm;
     if (!ai.path || ai.pathIndex >= ai.path.length) {
       this.#findNewPatrolPoint();
       if (!ai.path) return;
     }
-
-    const targetNode = ai.path[ai.pathIndex];
-    const targetPos = game.gridToWorld(targetNode.x, targetNode.z);
-    const distToTarget = Math.hypot(
-      targetPos.x - position.x,
-      targetPos.z - position.z,
-    );
-
-    if (distToTarget < 1.0) {
-      ai.pathIndex += 1;
-      if (ai.pathIndex >= ai.path.length) {
-        this.#findNewPatrolPoint();
-      }
-      return;
+    if (followPath(this.fsm, enemy.speed)) {
+      this.#findNewPatrolPoint();
     }
-
-    const moveSpeed = enemy.speed;
-    velocity.x = ((targetPos.x - position.x) / distToTarget) * moveSpeed;
-    velocity.z = ((targetPos.z - position.z) / distToTarget) * moveSpeed;
   }
 
   #findNewPatrolPoint() {
-    const { ai, game, position } = this.fsm;
+    const { game } = this.fsm;
     const size = game.state.currentMazeSize;
+    const { rng } = game.state;
     let targetX;
     let targetZ;
     do {
-      targetX = Math.floor(Math.random() * size);
-      targetZ = Math.floor(Math.random() * size);
+      targetX = rng.int(size);
+      targetZ = rng.int(game.state.maze.length);
     } while (game.state.maze[targetZ][targetX] !== 0);
 
-    const startNode = game.worldToGrid(position.x, position.z);
-    ai.path = game.findPath(startNode, { x: targetX, z: targetZ });
-    ai.pathIndex = 0;
+    pathTo(this.fsm, { x: targetX, z: targetZ });
   }
 }
 
-/** Enemy chasing behaviour with adaptive path finding. */
+/**
+ * Enemy chasing behaviour. `params.steering` picks how it closes in:
+ * - `'flow'` (default) follows the shared flow field to the player.
+ * - `'intercept'` paths to the cell the player is heading for, extrapolated
+ *   from their velocity, and follows the flow field once near.
+ * - `'phase'` follows the flow field, but when a single wall separates it from
+ *   a cell at least `PHASER_MIN_SHORTCUT` steps closer to the player, passes
+ *   straight through, then waits out `PHASER_COOLDOWN_TICKS`.
+ *
+ * The squad blackboard can override the steering through `ai.squadRole`:
+ * `'flank'` heads for `ai.squadTarget` and waits there until the player comes
+ * close, and `'reserve'` hangs back `SQUAD_RESERVE_DISTANCE` steps away.
+ */
 export class ChasingState extends FSMState {
   enter() {
-    const { ai, game } = this.fsm;
-    game.audio.play('enemyAlert');
+    const { ai, game, entityId, position } = this.fsm;
+    game.emit(GAME_EVENTS.ENEMY_ALERTED, { eid: entityId, position: { ...position } });
     ai.path = null;
     ai.pathIndex = 0;
+    ai.goal = null;
   }
 
-  update(playerPos, deltaTime) {
-    const { enemy, velocity, position, game, ai } = this.fsm;
-    const distanceToPlayer = Math.hypot(
-      playerPos.x - position.x,
-      playerPos.z - position.z,
-    );
+  exit() {
+    const { ai } = this.fsm;
+    ai.squadRole = null;
+    ai.squadTarget = null;
+  }
+
+  update(playerPos) {
+    const { ai } = this.fsm;
+    if (ai.squadRole === 'flank' && this.#flank(playerPos)) return;
+    if (ai.squadRole === 'reserve' && this.#holdBack()) return;
+    switch (this.params.steering) {
+      case 'intercept':
+        this.#intercept(playerPos);
+        break;
+      case 'phase':
+        this.#phase(playerPos);
+        break;
+      default:
+        this.#followFlow(playerPos);
+    }
+  }
+
+  /** Sets this tick's velocity one flow field step toward the player. */
+  #followFlow(playerPos) {
+    const { enemy, velocity, position, game } = this.fsm;
+    // Every chaser reads the same flow field toward the player's cell, so
+    // no chaser runs its own search.
+    const cell = game.worldToGrid(position.x, position.z, position.y);
+    const next = game.pathfinding.flowStep(cell);
+    const target = next ? stepTarget(game, cell, next) : playerPos;
+    const distanceToTarget = Math.hypot(target.x - position.x, target.z - position.z);
+    if (distanceToTarget === 0) return;
+
+    const chaseSpeed = enemy.speed * GAME_CONSTANTS.CHASER_SPEED_MULTIPLIER;
+    velocity.x = ((target.x - position.x) / distanceToTarget) * chaseSpeed;
+    velocity.z = ((target.z - position.z) / distanceToTarget) * chaseSpeed;
+  }
+
+  /** Heads for the squad's flanking junction; false once the player is close. */
+  #flank(playerPos) {
+    const { ai, enemy, position, velocity } = this.fsm;
+    const target = ai.squadTarget;
+    const distanceToPlayer = Math.hypot(playerPos.x - position.x, playerPos.z - position.z);
+    if (!target || distanceToPlayer < GAME_CONSTANTS.AMBUSH_CLOSE_IN_RADIUS) return false;
+
+    if (!ai.path || ai.goal?.x !== target.x || ai.goal?.z !== target.z) {
+      if (!pathTo(this.fsm, target)) return false;
+      ai.goal = target;
+    }
+    if (
+      ai.pathIndex >= ai.path.length ||
+      followPath(this.fsm, enemy.speed * GAME_CONSTANTS.CHASER_SPEED_MULTIPLIER)
+    ) {
+      // In position: wait for the player to come through.
+      velocity.x = 0;
+      velocity.z = 0;
+    }
+    return true;
+  }
+
+  /** Waits in reserve once within `SQUAD_RESERVE_DISTANCE` steps of the player. */
+  #holdBack() {
+    const { game, position, velocity } = this.fsm;
+    const distance = game.pathfinding.flowDistance(game.worldToGrid(position.x, position.z, position.y));
+    if (distance < 0 || distance > GAME_CONSTANTS.SQUAD_RESERVE_DISTANCE) return false;
+    velocity.x = 0;
+    velocity.z = 0;
+    return true;
+  }
 
-    if (distanceToPlayer > GAME_CONSTANTS.AI_PATROL_RADIUS) {
-      this.fsm.currentState = new PatrollingState(this.fsm);
+  #intercept(playerPos) {
+    const { ai, enemy, position } = this.fsm;
+    const distanceToPlayer = Math.hypot(playerPos.x - position.x, playerPos.z - position.z);
+    if (distanceToPlayer < GAME_CONSTANTS.AMBUSH_CLOSE_IN_RADIUS) {
+      this.#followFlow(playerPos);
       return;
     }
 
-    if (ai.timer % 30 === 0) {
-      const startNode = game.worldToGrid(position.x, position.z);
-      const endNode = game.worldToGrid(playerPos.x, playerPos.z);
-      ai.path = game.findPath(startNode, endNode);
-      ai.pathIndex = 0;
+    if (!ai.path || ai.timer % GAME_CONSTANTS.AMBUSH_REPATH_TICKS === 0) {
+      pathTo(this.fsm, this.#interceptCell(playerPos));
+    }
+    if (!ai.path || ai.pathIndex >= ai.path.length) {
+      this.#followFlow(playerPos);
+      return;
     }
+    followPath(this.fsm, enemy.speed * GAME_CONSTANTS.CHASER_SPEED_MULTIPLIER);
+  }
 
-    if (ai.path && ai.path.length > 0) {
-      const targetNode = ai.path[ai.pathIndex];
-      const targetPos = game.gridToWorld(targetNode.x, targetNode.z);
-      const distanceToTarget = Math.hypot(
-        targetPos.x - position.x,
-        targetPos.z - position.z,
+  /** The open cell nearest the player's extrapolated position, along their heading. */
+  #interceptCell(playerPos) {
+    const { game } = this.fsm;
+    const playerVel = game.Velocity.get(game.state.playerEid);
+    const lookahead = GAME_CONSTANTS.AMBUSH_LOOKAHEAD_SECONDS;
+    for (let fraction = 1; fraction > 0; fraction -= 0.25) {
+      const cell = game.worldToGrid(
+        playerPos.x + playerVel.x * lookahead * fraction,
+        playerPos.z + playerVel.z * lookahead * fraction,
+        playerPos.y,
       );
+      if (game.pathfinding.isWalkable(cell.x, cell.z)) return cell;
+    }
+    return game.worldToGrid(playerPos.x, playerPos.z, playerPos.y);
+  }
+
+  #phase(playerPos) {
+    const { ai, enemy, game, entityId, position, velocity } = this.fsm;
+    if (!ai.phaseTarget && game.state.tick >= ai.phaseReadyTick) {
+      ai.phaseTarget = this.#findShortcut();
+      if (ai.phaseTarget) {
+        ai.phaseReadyTick = game.state.tick + GAME_CONSTANTS.PHASER_COOLDOWN_TICKS;
+        game.emit(GAME_EVENTS.ENEMY_PHASED, { eid: entityId, position: { ...position } });
+      }
+    }
+    if (!ai.phaseTarget) {
+      this.#followFlow(playerPos);
+      return;
+    }
+
+    const target = game.gridToWorld(ai.phaseTarget.x, ai.phaseTarget.z);
+    const distance = Math.hypot(target.x - position.x, target.z - position.z);
+    if (distance < 0.3) {
+      ai.phaseTarget = null;
+      return;
+    }
+    const speed = enemy.speed * GAME_CONSTANTS.CHASER_SPEED_MULTIPLIER;
+    velocity.x = ((target.x - position.x) / distance) * speed;
+    velocity.z = ((target.z - position.z) / distance) * speed;
+  }
 
-      if (distanceToTarget < 1.0) {
-        ai.pathIndex += 1;
-        if (ai.pathIndex >= ai.path.length) {
-          ai.path = null;
-        }
-        return;
+  #findShortcut() {
+    const { game, position } = this.fsm;
+    const { pathfinding } = game;
+    const cell = game.worldToGrid(position.x, position.z, position.y);
+    const here = pathfinding.flowDistance(cell);
+    if (here < 0) return null;
+    let best = null;
+    let bestSaving = GAME_CONSTANTS.PHASER_MIN_SHORTCUT - 1;
+    for (const [dx, dz] of DIRECTIONS) {
+      if (pathfinding.isWalkable(cell.x + dx, cell.z + dz)) continue;
+      const beyond = { x: cell.x + dx * 2, z: cell.z + dz * 2 };
+      const distance = pathfinding.flowDistance(beyond);
+      if (distance >= 0 && here - distance > bestSaving) {
+        best = beyond;
+        bestSaving = here - distance;
       }
+    }
+    return best;
+  }
+}
 
-      const chaseSpeed = enemy.speed * GAME_CONSTANTS.CHASER_SPEED_MULTIPLIER;
-      velocity.x = ((targetPos.x - position.x) / distanceToTarget) * chaseSpeed;
-      velocity.z = ((targetPos.z - position.z) / distanceToTarget) * chaseSpeed;
+/**
+ * Sentry behaviour: never moves. It sweeps its vision cone across the open
+ * corridors around it, turns toward noises, and fires projectiles at the
+ * player while it can see them.
+ */
+export class GuardingState extends FSMState {
+  enter() {
+    const { ai, game } = this.fsm;
+    ai.stateTick = game.state.tick;
+  }
+
+  update(playerPos) {
+    const { ai, game, entityId, perception, position, velocity } = this.fsm;
+    velocity.x = 0;
+    velocity.z = 0;
+    const { tick } = game.state;
+
+    if (perception.seesPlayer) {
+      perception.facing = Math.atan2(playerPos.z - position.z, playerPos.x - position.x);
+      if (tick >= ai.fireReadyTick) {
+        game.fireProjectile(entityId, perception.facing);
+        ai.fireReadyTick = tick + GAME_CONSTANTS.SENTRY_FIRE_INTERVAL_TICKS;
+      }
+      ai.stateTick = tick;
+      return;
+    }
+    if (perception.heard) {
+      perception.facing = Math.atan2(
+        perception.heard.z - position.z,
+        perception.heard.x - position.x,
+      );
+      ai.stateTick = tick;
       return;
     }
 
-    const chaseSpeed = enemy.speed * GAME_CONSTANTS.CHASER_SPEED_MULTIPLIER;
-    velocity.x = ((playerPos.x - position.x) / distanceToPlayer) * chaseSpeed;
-    velocity.z = ((playerPos.z - position.z) / distanceToPlayer) * chaseSpeed;
+    if (tick - ai.stateTick >= GAME_CONSTANTS.SENTRY_SWEEP_TICKS) {
+      const cell = game.worldToGrid(position.x, position.z, position.y);
+      const corridors = DIRECTIONS.filter(([dx, dz]) =>
+        game.pathfinding.isWalkable(cell.x + dx, cell.z + dz),
+      );
+      if (corridors.length > 0) {
+        ai.sweepIndex = (ai.sweepIndex + 1) % corridors.length;
+        const [dx, dz] = corridors[ai.sweepIndex];
+        perception.facing = Math.atan2(dz, dx);
+      } else {
+        perception.facing += Math.PI / 2;
+      }
+      ai.stateTick = tick;
+    }
+  }
+}
+
+/**
+ * Heads for the player's last known position, re-routing when a newer
+ * sighting or noise moves it. Sets `ai.goalReached` on arrival.
+ */
+export class InvestigatingState extends FSMState {
+  enter() {
+    const { ai, game } = this.fsm;
+    ai.stateTick = game.state.tick;
+    ai.goal = null;
+    ai.goalReached = false;
+    ai.path = null;
+    ai.pathIndex = 0;
+  }
+
+  update() {
+    const { ai, enemy, game, perception } = this.fsm;
+    if (!perception.lastKnown || ai.goalReached) return;
+
+    const { lastKnown } = perception;
+    const goal = game.worldToGrid(lastKnown.x, lastKnown.z, lastKnown.y);
+    if (!ai.path || ai.goal?.x !== goal.x || ai.goal?.z !== goal.z) {
+      if (!pathTo(this.fsm, goal)) return;
+      ai.goal = goal;
+    }
+    const speed = enemy.speed * GAME_CONSTANTS.AI_INVESTIGATE_SPEED_MULTIPLIER;
+    ai.goalReached = followPath(this.fsm, speed);
+  }
+}
+
+/** Visits a few random junctions around the last known position in turn. */
+export class SearchingState extends FSMState {
+  enter() {
+    const { ai, game, perception, position } = this.fsm;
+    const origin = perception.lastKnown ?? position;
+    const junctions = game.pathfinding.cellsWithin(
+      game.worldToGrid(origin.x, origin.z, origin.y),
+      GAME_CONSTANTS.AI_SEARCH_RADIUS,
+      { junctionsOnly: true },
+    );
+    const { rng } = game.state;
+    ai.searchPoints = [];
+    while (junctions.length > 0 && ai.searchPoints.length < GAME_CONSTANTS.AI_SEARCH_POINTS) {
+      const [{ x, z }] = junctions.splice(rng.int(junctions.length), 1);
+      ai.searchPoints.push({ x, z });
+    }
+    ai.stateTick = game.state.tick;
+    ai.path = null;
+    ai.pathIndex = 0;
+  }
+
+  update() {
+    const { ai, enemy } = this.fsm;
+    if (ai.searchPoints.length === 0) return;
+    if (!ai.path && !pathTo(this.fsm, ai.searchPoints[0])) return;
+    if (followPath(this.fsm, enemy.speed)) {
+      ai.searchPoints.shift();
+      ai.path = null;
+    }
+  }
+}
+
+/**
+ * Runs from a shielded player along the pathfinding service's flee field,
+ * or straight away from them where the field offers no safer cell.
+ */
+export class FleeingState extends FSMState {
+  enter() {
+    const { ai } = this.fsm;
+    ai.path = null;
+    ai.pathIndex = 0;
+  }
+
+  update(playerPos) {
+    const { enemy, game, position, velocity } = this.fsm;
+    const cell = game.worldToGrid(position.x, position.z, position.y);
+    const next = game.pathfinding.fleeStep(cell);
+    const target = next
+      ? stepTarget(game, cell, next)
+      : { x: position.x * 2 - playerPos.x, z: position.z * 2 - playerPos.z };
+    const distance = Math.hypot(target.x - position.x, target.z - position.z);
+    if (distance === 0) return;
+    const speed = enemy.speed * GAME_CONSTANTS.FLEE_SPEED_MULTIPLIER;
+    velocity.x = ((target.x - position.x) / distance) * speed;
+    velocity.z = ((target.z - position.z) / distance) * speed;
+  }
+}
+
+/**
+ * Reeling from an energy pulse: drops its path and leaves its velocity to
+ * the knockback and friction until the stun wears off.
+ */
+export class StunnedState extends FSMState {
+  enter() {
+    const { ai } = this.fsm;
+    ai.path = null;
+    ai.pathIndex = 0;
   }
 }
 
+/** State behaviours by the name behaviour configs refer to them with. */
 export const ENEMY_STATES = Object.freeze({
   patrolling: PatrollingState,
   chasing: ChasingState,
+  investigating: InvestigatingState,
+  searching: SearchingState,
+  guarding: GuardingState,
+  fleeing: FleeingState,
+  stunned: StunnedState,
 });
@@ -1,10 +1,36 @@
+import { GAME_CONSTANTS } from './constants.js';
 import { NexusMazeGame } from './game/nexusMazeGame.js';
+import { MAZE_GENERATORS } from './maze/generators.js';
+import { GAME_MODES } from './sim/gameModes.js';
+
+/**
+ * Reads optional launch query parameters, e.g.
+ * `?seed=abc&level=7&algorithm=prim&braid=0.5&mode=zen`.
+ * @param {string} search
+ */
+function parseLaunchOptions(search) {
+  const params = new URLSearchParams(search);
+  const seed = params.get('seed')?.trim() || null;
+  const level = Number.parseInt(params.get('level'), 10);
+  const algorithm = params.get('algorithm');
+  const braid = Number.parseFloat(params.get('braid'));
+  const mode = params.get('mode');
+  return {
+    seed,
+    level: Number.isInteger(level)
+      ? Math.max(1, Math.min(GAME_CONSTANTS.VICTORY_LEVEL - 1, level))
+      : 1,
+    algorithm: Object.hasOwn(MAZE_GENERATORS, algorithm) ? algorithm : null,
+    braid: Number.isFinite(braid) ? Math.max(0, Math.min(1, braid)) : null,
+    mode: Object.hasOwn(GAME_MODES, mode) ? mode : null,
+  };
+}
 
 window.addEventListener('DOMContentLoaded', () => {
   if (!window.THREE || !window.Tone) {
     console.error('Three.js or Tone.js failed to load');
     return;
   }
-  const game = new NexusMazeGame();
+  const game = new NexusMazeGame(parseLaunchOptions(window.location.search));
   game.initialize();
 });
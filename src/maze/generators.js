@@ -0,0 +1,819 @@
+/**
+ * Maze generation algorithms.
+ *
+ * Every generator works on an odd-sized grid where `1` is a wall and `0` is
+ * open floor. Logical cells sit on odd coordinates and the even coordinates
+ * between them are the walls that get carved to connect neighbouring cells.
+ * Generators receive a `SeededRandom` so the same seed always carves the same
+ * maze. All of them except `rooms` produce perfect mazes (exactly one route
+ * between any two cells); `rooms` carves open rooms with several ways across,
+ * and `braidMaze()` deliberately opens dead ends into loops on top of any
+ * generator.
+ *
+ * A level with several floors stacks their square grids into one, see
+ * `stackFloors()`. Lifts join cells on neighbouring floors, and the placement
+ * helpers below take them as `lifts` so they can search across floors.
+ */
+
+const CELL_DIRECTIONS = Object.freeze([
+  { x: 0, y: -1 },
+  { x: 1, y: 0 },
+  { x: 0, y: 1 },
+  { x: -1, y: 0 },
+]);
+
+/** Recursive backtracker: long, winding corridors with few branches. */
+function backtracker(grid, rng) {
+  const visited = new Uint8Array(grid.cols * grid.rows);
+  const stack = [0];
+  visited[0] = 1;
+  grid.open(0);
+
+  while (stack.length > 0) {
+    const cell = stack[stack.length - 1];
+    const candidates = grid.neighbours(cell).filter((n) => !visited[n]);
+    if (candidates.length > 0) {
+      const chosen = rng.pick(candidates);
+      visited[chosen] = 1;
+      grid.carve(cell, chosen);
+      stack.push(chosen);
+    } else {
+      stack.pop();
+    }
+  }
+}
+
+/** Randomized Prim's: short dead ends radiating from a growing frontier. */
+function prim(grid, rng) {
+  const inMaze = new Uint8Array(grid.cols * grid.rows);
+  const inFrontier = new Uint8Array(grid.cols * grid.rows);
+  const frontier = [];
+  const addFrontier = (cell) => {
+    for (const n of grid.neighbours(cell)) {
+      if (!inMaze[n] && !inFrontier[n]) {
+        inFrontier[n] = 1;
+        frontier.push(n);
+      }
+    }
+  };
+
+  const start = rng.int(grid.cols * grid.rows);
+  inMaze[start] = 1;
+  grid.open(start);
+  addFrontier(start);
+
+  while (frontier.length > 0) {
+    const index = rng.int(frontier.length);
+    const cell = frontier[index];
+    frontier[index] = frontier[frontier.length - 1];
+    frontier.pop();
+    const connected = grid.neighbours(cell).filter((n) => inMaze[n]);
+    grid.carve(rng.pick(connected), cell);
+    inMaze[cell] = 1;
+    addFrontier(cell);
+  }
+}
+
+/** Randomized Kruskal's: many short branches evenly spread over the grid. */
+function kruskal(grid, rng, sets = new DisjointSet(grid.cols * grid.rows)) {
+  const edges = [];
+  for (let cell = 0; cell < grid.cols * grid.rows; cell += 1) {
+    for (const n of grid.neighbours(cell)) {
+      if (n > cell) edges.push([cell, n]);
+    }
+  }
+  shuffle(edges, rng);
+
+  for (const [a, b] of edges) {
+    if (sets.union(a, b)) {
+      grid.carve(a, b);
+    }
+  }
+}
+
+/** Wilson's: loop-erased random walks, an unbiased sample of all perfect mazes. */
+function wilson(grid, rng) {
+  const total = grid.cols * grid.rows;
+  const inTree = new Uint8Array(total);
+  const next = new Int32Array(total).fill(-1);
+  const root = rng.int(total);
+  inTree[root] = 1;
+  grid.open(root);
+
+  for (let start = 0; start < total; start += 1) {
+    if (inTree[start]) continue;
+    let cell = start;
+    while (!inTree[cell]) {
+      const step = rng.pick(grid.neighbours(cell));
+      next[cell] = step;
+      cell = step;
+    }
+    cell = start;
+    while (!inTree[cell]) {
+      inTree[cell] = 1;
+      grid.carve(cell, next[cell]);
+      cell = next[cell];
+    }
+  }
+}
+
+/** Eller's: builds the maze one row at a time with horizontal bias. */
+function eller(grid, rng) {
+  const { cols, rows } = grid;
+  let rowSets = new Array(cols).fill(null);
+  let nextSetId = 0;
+
+  for (let row = 0; row < rows; row += 1) {
+    const lastRow = row === rows - 1;
+    for (let col = 0; col < cols; col += 1) {
+      if (rowSets[col] === null) rowSets[col] = nextSetId++;
+      grid.open(grid.index(col, row));
+    }
+
+    for (let col = 0; col < cols - 1; col += 1) {
+      const left = rowSets[col];
+      const right = rowSets[col + 1];
+      if (left === right || (!lastRow && !rng.chance(0.5))) continue;
+      for (let i = 0; i < cols; i += 1) {
+        if (rowSets[i] === right) rowSets[i] = left;
+      }
+      grid.carve(grid.index(col, row), grid.index(col + 1, row));
+    }
+    if (lastRow) break;
+
+    const members = new Map();
+    for (let col = 0; col < cols; col += 1) {
+      if (!members.has(rowSets[col])) members.set(rowSets[col], []);
+      members.get(rowSets[col]).push(col);
+    }
+    const nextRow = new Array(cols).fill(null);
+    for (const [setId, columns] of members) {
+      shuffle(columns, rng);
+      const drops = 1 + rng.int(columns.length);
+      for (let i = 0; i < drops; i += 1) {
+        const col = columns[i];
+        grid.carve(grid.index(col, row), grid.index(col, row + 1));
+        nextRow[col] = setId;
+      }
+    }
+    rowSets = nextRow;
+  }
+}
+
+/** Growing tree mixing newest-cell (backtracker) and random-cell (Prim) picks. */
+function growingTree(grid, rng) {
+  const visited = new Uint8Array(grid.cols * grid.rows);
+  const active = [rng.int(grid.cols * grid.rows)];
+  visited[active[0]] = 1;
+  grid.open(active[0]);
+
+  while (active.length > 0) {
+    const index = rng.chance(0.5) ? active.length - 1 : rng.int(active.length);
+    const cell = active[index];
+    const candidates = grid.neighbours(cell).filter((n) => !visited[n]);
+    if (candidates.length > 0) {
+      const chosen = rng.pick(candidates);
+      visited[chosen] = 1;
+      grid.carve(cell, chosen);
+      active.push(chosen);
+    } else {
+      active.splice(index, 1);
+    }
+  }
+}
+
+/**
+ * Rooms and corridors: carves open rectangular rooms first, then links every
+ * room and corridor cell with a Kruskal spanning tree that treats each room as
+ * a single node, and finally punches a few extra doorways.
+ */
+function rooms(grid, rng) {
+  const { cols, rows } = grid;
+  const sets = new DisjointSet(cols * rows);
+  const roomOf = new Int32Array(cols * rows).fill(-1);
+  const placed = [];
+  const attempts = Math.floor((cols * rows) / 12);
+  const maxRooms = Math.max(2, Math.floor((cols * rows) / 60));
+
+  for (let i = 0; i < attempts && placed.length < maxRooms; i += 1) {
+    const width = 2 + rng.int(3);
+    const height = 2 + rng.int(3);
+    const col = rng.int(cols - width + 1);
+    const row = rng.int(rows - height + 1);
+    const overlaps = placed.some((room) =>
+      col <= room.col + room.width &&
+      col + width >= room.col &&
+      row <= room.row + room.height &&
+      row + height >= room.row,
+    );
+    if (overlaps) continue;
+
+    const room = { col, row, width, height };
+    const roomIndex = placed.push(room) - 1;
+    const anchor = grid.index(col, row);
+    for (let r = row; r < row + height; r += 1) {
+      for (let c = col; c < col + width; c += 1) {
+        const cell = grid.index(c, r);
+        roomOf[cell] = roomIndex;
+        sets.union(anchor, cell);
+        if (c > col) grid.carve(grid.index(c - 1, r), cell);
+        if (r > row) grid.carve(grid.index(c, r - 1), cell);
+        grid.open(cell);
+      }
+    }
+  }
+
+  kruskal(grid, rng, sets);
+
+  for (let roomIndex = 0; roomIndex < placed.length; roomIndex += 1) {
+    if (!rng.chance(0.6)) continue;
+    const doorways = [];
+    for (let cell = 0; cell < cols * rows; cell += 1) {
+      if (roomOf[cell] !== roomIndex) continue;
+      for (const n of grid.neighbours(cell)) {
+        if (roomOf[n] !== roomIndex) doorways.push([cell, n]);
+      }
+    }
+    if (doorways.length > 0) {
+      const [from, to] = rng.pick(doorways);
+      grid.carve(from, to);
+    }
+  }
+}
+
+/** Registry of available generators keyed by their public name. */
+export const MAZE_GENERATORS = Object.freeze({
+  backtracker,
+  prim,
+  kruskal,
+  wilson,
+  eller,
+  growingTree,
+  rooms,
+});
+
+/**
+ * Generates a maze grid with the requested algorithm and braid factor.
+ * @param {number} width Odd grid width including the outer walls.
+ * @param {number} height Odd grid height including the outer walls.
+ * @param {import('../core/random.js').SeededRandom} rng
+ * @param {{ algorithm?: string, braid?: number }} [options]
+ *   `braid` is the fraction (0–1) of dead ends that get opened into loops.
+ * @returns {number[][]}
+ */
+export function generateMaze(width, height, rng, options = {}) {
+  const { algorithm = 'backtracker', braid = 0 } = options;
+  const generator = MAZE_GENERATORS[algorithm];
+  if (!generator) {
+    throw new Error(`Unknown maze algorithm: ${algorithm}`);
+  }
+  const maze = Array.from({ length: height }, () => Array(width).fill(1));
+  generator(new CellGrid(maze), rng);
+  braidMaze(maze, rng, braid);
+  return maze;
+}
+
+/**
+ * Removes a fraction of the dead ends by knocking through one of their walls,
+ * preferring walls that also remove a neighbouring dead end.
+ * @param {number[][]} maze
+ * @param {import('../core/random.js').SeededRandom} rng
+ * @param {number} factor Fraction (0–1) of dead ends to remove.
+ */
+export function braidMaze(maze, rng, factor) {
+  if (factor <= 0) return;
+  const grid = new CellGrid(maze);
+  const isDeadEnd = (cell) =>
+    grid.neighbours(cell).filter((n) => grid.isConnected(cell, n)).length === 1;
+
+  const deadEnds = [];
+  for (let cell = 0; cell < grid.cols * grid.rows; cell += 1) {
+    if (isDeadEnd(cell)) deadEnds.push(cell);
+  }
+  shuffle(deadEnds, rng);
+
+  const toRemove = Math.round(deadEnds.length * Math.min(1, factor));
+  for (let i = 0; i < toRemove; i += 1) {
+    const cell = deadEnds[i];
+    if (!isDeadEnd(cell)) continue;
+    const closed = grid.neighbours(cell).filter((n) => !grid.isConnected(cell, n));
+    if (closed.length === 0) continue;
+    const preferred = closed.filter(isDeadEnd);
+    grid.carve(cell, rng.pick(preferred.length > 0 ? preferred : closed));
+  }
+}
+
+/**
+ * Stacks square floor grids into a single grid: floor `f` of a `width`-wide
+ * stack starts at row `floorRow(width, f)`, and consecutive floors are
+ * separated by one row of wall. With that spacer every floor starts on an
+ * even row, so logical cells stay on odd coordinates throughout, and no two
+ * floors ever touch in the grid.
+ * @param {number[][][]} floors Grids from `generateMaze()`, bottom floor first.
+ * @returns {number[][]}
+ */
+export function stackFloors(floors) {
+  const width = floors[0][0].length;
+  const rows = [];
+  floors.forEach((floor, i) => {
+    if (i > 0) rows.push(Array(width).fill(1));
+    for (const row of floor) rows.push(row);
+  });
+  return rows;
+}
+
+/** First row of floor `floor` in a grid from `stackFloors()` of the given width. */
+export function floorRow(width, floor) {
+  return floor * (width + 1);
+}
+
+/**
+ * Picks `count` lift shafts between each pair of neighbouring floors of a grid
+ * from `stackFloors()`. A shaft joins the same logical cell on both floors,
+ * is never within `clearance` of `start` or `goal`, and no cell serves two
+ * shafts. Every floor is connected on its own, so the lifts keep the whole
+ * level solvable. The maze is not modified.
+ * @param {number[][]} maze
+ * @param {import('../core/random.js').SeededRandom} rng
+ * @param {{ count: number, start: { x: number, z: number }, goal: { x: number, z: number },
+ *   clearance?: number }} options
+ * @returns {Array<{ from: { x: number, z: number }, to: { x: number, z: number } }>}
+ *   Shafts from their lower to their upper cell, bottom floor first.
+ */
+export function placeLifts(maze, rng, { count, start, goal, clearance = 3 }) {
+  const width = maze[0].length;
+  const floors = Math.round((maze.length + 1) / (width + 1));
+  const key = ({ x, z }) => z * width + x;
+  const nearEnds = (cell) => [start, goal].some(
+    (end) => Math.abs(cell.x - end.x) <= clearance && Math.abs(cell.z - end.z) <= clearance,
+  );
+  const taken = new Set();
+  const usable = (cell) => maze[cell.z][cell.x] === 0 && !nearEnds(cell) && !taken.has(key(cell));
+  const lifts = [];
+  for (let floor = 0; floor < floors - 1; floor += 1) {
+    const lower = floorRow(width, floor);
+    const upper = floorRow(width, floor + 1);
+    const candidates = [];
+    for (let z = 1; z < width - 1; z += 2) {
+      for (let x = 1; x < width - 1; x += 2) candidates.push({ x, z });
+    }
+    shuffle(candidates, rng);
+    let placed = 0;
+    for (const { x, z } of candidates) {
+      if (placed >= count) break;
+      const from = { x, z: lower + z };
+      const to = { x, z: upper + z };
+      if (!usable(from) || !usable(to)) continue;
+      taken.add(key(from));
+      taken.add(key(to));
+      lifts.push({ from, to });
+      placed += 1;
+    }
+  }
+  return lifts;
+}
+
+/**
+ * Picks doorways for moving wall segments and closes the ones each segment
+ * starts out blocking. A segment alternates between blocking `cells[0]` and
+ * `cells[1]` (`null` for none): `rise` doors sink into the floor, `slide`
+ * doors retract into the `pivot` pillar beside them, and `rotate` arms swing
+ * around their `pivot` pillar between two doorways at right angles.
+ *
+ * A segment is only kept if `goal` stays reachable from `start` with every
+ * doorway that any segment can block closed at once, so no combination of
+ * segment positions ever cuts the goal off.
+ * @param {number[][]} maze Grid from `generateMaze()`, modified in place.
+ * @param {import('../core/random.js').SeededRandom} rng
+ * @param {{ count: number, start: { x: number, z: number }, goal: { x: number, z: number },
+ *   lifts?: ReturnType<typeof placeLifts>, clearance?: number }} options
+ *   `clearance` keeps doorways more than that many cells away from `start`
+ *   and `goal` on either axis.
+ * @returns {Array<{ motion: 'rise' | 'slide' | 'rotate',
+ *   cells: Array<{ x: number, z: number } | null>, pivot: { x: number, z: number } | null }>}
+ */
+export function placeMovingWalls(maze, rng, { count, start, goal, lifts = [], clearance = 3 }) {
+  const width = maze[0].length;
+  const height = maze.length;
+  const segments = [];
+  if (count <= 0) return segments;
+  const links = linkMap(lifts, width);
+
+  const closed = new Set();
+  const key = ({ x, z }) => z * width + x;
+  const nearEnds = (cell) => [start, goal].some(
+    (end) => Math.abs(cell.x - end.x) <= clearance && Math.abs(cell.z - end.z) <= clearance,
+  );
+  const isOpen = (cell) => maze[cell.z][cell.x] === 0;
+
+  // Pillars on a floor's outer wall would open a doorway into it, so only
+  // local rows 2..width-3 of each floor are used.
+  const pillars = [];
+  for (let z = 2; z < height - 2; z += 2) {
+    const row = z % (width + 1);
+    if (row === 0 || row > width - 3) continue;
+    for (let x = 2; x < width - 2; x += 2) pillars.push({ x, z });
+  }
+  shuffle(pillars, rng);
+
+  for (const pivot of pillars) {
+    if (segments.length >= count) break;
+    const across = [{ x: pivot.x - 1, z: pivot.z }, { x: pivot.x + 1, z: pivot.z }]
+      .filter((cell) => !nearEnds(cell) && !closed.has(key(cell)));
+    const along = [{ x: pivot.x, z: pivot.z - 1 }, { x: pivot.x, z: pivot.z + 1 }]
+      .filter((cell) => !nearEnds(cell) && !closed.has(key(cell)));
+    const doorways = [...across, ...along].filter(isOpen);
+    if (doorways.length === 0) continue;
+
+    const motion = rng.pick(['rise', 'slide', 'rotate']);
+    let cells;
+    if (motion === 'rotate') {
+      if (across.length === 0 || along.length === 0) continue;
+      cells = shuffle([rng.pick(across), rng.pick(along)], rng);
+      if (!cells.some(isOpen)) continue;
+    } else {
+      cells = [rng.pick(doorways), null];
+    }
+
+    const blocking = cells.filter(Boolean).map(key);
+    if (!isReachable(maze, start, goal, new Set([...closed, ...blocking]), links)) continue;
+    for (const index of blocking) closed.add(index);
+    segments.push({ motion, cells, pivot: motion === 'rise' ? null : pivot });
+  }
+
+  for (const { cells: [first, second] } of segments) {
+    maze[first.z][first.x] = 1;
+    if (second) maze[second.z][second.x] = 0;
+  }
+  return segments;
+}
+
+/**
+ * Places up to `count` locked doors between `start` and `goal`, each with a
+ * key to open it, and closes the door cells. Doors sit on corridor cells of
+ * the shortest route that every route to the goal must pass through, spread
+ * along it, so each one gates the rest of the level. The key for door `i` is
+ * reachable with doors `i` onwards locked, preferably beyond door `i - 1`,
+ * so the level can always be solved by opening the doors in order.
+ *
+ * Moving wall segments from `placeMovingWalls()` are taken into account:
+ * doors must be unavoidable with every segment open, and keys reachable with
+ * every segment closed, so neither depends on timing. Routes may take the
+ * `lifts`, whose cells never hold a door or key.
+ * @param {number[][]} maze Grid from `generateMaze()`, modified in place.
+ * @param {import('../core/random.js').SeededRandom} rng
+ * @param {{ count: number, start: { x: number, z: number }, goal: { x: number, z: number },
+ *   movingWalls?: ReturnType<typeof placeMovingWalls>, lifts?: ReturnType<typeof placeLifts>,
+ *   clearance?: number }} options
+ *   `clearance` keeps doors more than that many cells away from `start` and
+ *   `goal` on either axis.
+ * @returns {Array<{ door: { x: number, z: number }, key: { x: number, z: number } }>}
+ *   Locks in the order they must be opened.
+ */
+export function placeLocks(maze, rng, {
+  count,
+  start,
+  goal,
+  movingWalls = [],
+  lifts = [],
+  clearance = 3,
+}) {
+  const width = maze[0].length;
+  const key = ({ x, z }) => z * width + x;
+  const links = linkMap(lifts, width);
+  const movingCells = new Set();
+  for (const { cells } of movingWalls) {
+    for (const cell of cells) if (cell) movingCells.add(key(cell));
+  }
+  const allOpen = maze.map((row) => [...row]);
+  for (const index of movingCells) allOpen[Math.floor(index / width)][index % width] = 0;
+
+  const route = shortestRoute(allOpen, start, goal, links);
+  if (count <= 0 || !route) return [];
+  const isCorridor = ({ x, z }) =>
+    CELL_DIRECTIONS.filter((dir) => allOpen[z + dir.y][x + dir.x] === 0).length === 2;
+  const nearEnds = (cell) => [start, goal].some(
+    (end) => Math.abs(cell.x - end.x) <= clearance && Math.abs(cell.z - end.z) <= clearance,
+  );
+  const chokepoints = [];
+  route.forEach((cell, step) => {
+    if (nearEnds(cell) || movingCells.has(key(cell)) || links.has(key(cell)) || !isCorridor(cell)) return;
+    if (!isReachable(allOpen, start, goal, new Set([key(cell)]), links)) chokepoints.push({ ...cell, step });
+  });
+
+  // Spread the doors evenly along the route.
+  const doors = [];
+  for (let i = 1; i <= count && chokepoints.length > 0; i += 1) {
+    const target = (route.length * i) / (count + 1);
+    const after = doors.length > 0 ? doors[doors.length - 1].step + clearance : -1;
+    const candidates = chokepoints.filter(({ step }) => step > after);
+    if (candidates.length === 0) break;
+    doors.push(candidates.reduce((best, cell) =>
+      (Math.abs(cell.step - target) < Math.abs(best.step - target) ? cell : best)));
+  }
+
+  const allClosed = maze.map((row) => [...row]);
+  for (const index of movingCells) allClosed[Math.floor(index / width)][index % width] = 1;
+  const taken = new Set([key(start), key(goal), ...doors.map(key), ...links.keys()]);
+  const locks = [];
+  let previous = new Set();
+  doors.forEach((door, i) => {
+    const locked = new Set(doors.slice(i).map(key));
+    const region = reachableFrom(allClosed, start, locked, links);
+    const fresh = [...region].filter((index) => !previous.has(index) && !taken.has(index));
+    const pool = fresh.length > 0 ? fresh : [...region].filter((index) => !taken.has(index));
+    previous = region;
+    if (pool.length === 0) return;
+    const index = rng.pick(pool);
+    taken.add(index);
+    locks.push({ door: { x: door.x, z: door.z }, key: { x: index % width, z: Math.floor(index / width) } });
+  });
+
+  for (const { door } of locks) maze[door.z][door.x] = 1;
+  return locks;
+}
+
+/**
+ * Places `pairs` two-way teleporter pads and `portals` one-way portals on open
+ * maze cells, each joining two cells at least `separation` steps apart as the
+ * crow flies. Both ends of a link always lie in the same stage of the level:
+ * the part reachable after opening the same number of `placeLocks()` doors,
+ * so no link skips a door and every portal exit can walk back to its entrance.
+ * Cells used by moving walls, doors, keycards and lifts, and cells within
+ * `clearance` of `start` and `goal`, are left alone. The maze is not modified.
+ * @param {number[][]} maze
+ * @param {import('../core/random.js').SeededRandom} rng
+ * @param {{ pairs: number, portals: number, start: { x: number, z: number },
+ *   goal: { x: number, z: number }, movingWalls?: ReturnType<typeof placeMovingWalls>,
+ *   locks?: ReturnType<typeof placeLocks>, lifts?: ReturnType<typeof placeLifts>,
+ *   separation?: number, clearance?: number }} options
+ * @returns {Array<{ from: { x: number, z: number }, to: { x: number, z: number }, twoWay: boolean }>}
+ *   Pads first, then portals.
+ */
+export function placeTeleporters(maze, rng, {
+  pairs,
+  portals,
+  start,
+  goal,
+  movingWalls = [],
+  locks = [],
+  lifts = [],
+  separation = 8,
+  clearance = 3,
+}) {
+  const width = maze[0].length;
+  const key = ({ x, z }) => z * width + x;
+  const liftLinks = linkMap(lifts, width);
+  const reserved = new Set([key(start), key(goal), ...liftLinks.keys()]);
+  for (const { cells } of movingWalls) {
+    for (const cell of cells) if (cell) reserved.add(key(cell));
+  }
+  for (const { door, key: card } of locks) {
+    reserved.add(key(door));
+    reserved.add(key(card));
+  }
+
+  // Stage of every cell: how many doors must be open before it can be reached.
+  const grid = maze.map((row) => [...row]);
+  for (const index of reserved) grid[Math.floor(index / width)][index % width] = 0;
+  for (const { door } of locks) grid[door.z][door.x] = 1;
+  const stages = new Map();
+  for (let stage = 0; stage <= locks.length; stage += 1) {
+    if (stage > 0) {
+      const { door } = locks[stage - 1];
+      grid[door.z][door.x] = 0;
+    }
+    for (const index of reachableFrom(grid, start, new Set(), liftLinks)) {
+      if (!stages.has(index)) stages.set(index, stage);
+    }
+  }
+
+  const nearEnds = (cell) => [start, goal].some(
+    (end) => Math.abs(cell.x - end.x) <= clearance && Math.abs(cell.z - end.z) <= clearance,
+  );
+  const candidates = shuffle(
+    [...stages.keys()]
+      .map((index) => ({ x: index % width, z: Math.floor(index / width) }))
+      .filter((cell) => cell.x % 2 === 1 && cell.z % 2 === 1 &&
+        !reserved.has(key(cell)) && !nearEnds(cell)),
+    rng,
+  );
+
+  const taken = new Set();
+  const links = [];
+  const wanted = [...Array(pairs).fill(true), ...Array(portals).fill(false)];
+  for (const twoWay of wanted) {
+    const from = candidates.find((cell) => !taken.has(key(cell)));
+    if (!from) break;
+    taken.add(key(from));
+    const to = candidates.find((cell) => !taken.has(key(cell)) &&
+      stages.get(key(cell)) === stages.get(key(from)) &&
+      Math.hypot(cell.x - from.x, cell.z - from.z) >= separation);
+    if (!to) continue;
+    taken.add(key(to));
+    links.push({ from, to, twoWay });
+  }
+  return links;
+}
+
+/**
+ * Places `count` hazards of the given `kinds` on open cells, none of them in
+ * `avoid` or within `clearance` of `start` and `goal`, nor next to another
+ * hazard. Laser gates go in doorways (open cells between two logical cells)
+ * and carry the `axis` a traveller crosses them along; floor hazards go on
+ * logical cells. Hazards never block a cell, so the maze stays solvable and
+ * is not modified.
+ * @param {number[][]} maze
+ * @param {import('../core/random.js').SeededRandom} rng
+ * @param {{ count: number, kinds: string[], start: { x: number, z: number },
+ *   goal: { x: number, z: number }, avoid?: Array<{ x: number, z: number }>, clearance?: number }} options
+ * @returns {Array<{ kind: string, cell: { x: number, z: number }, axis: 'x' | 'z' | null }>}
+ */
+export function placeHazards(maze, rng, { count, kinds, start, goal, avoid = [], clearance = 3 }) {
+  if (count <= 0 || kinds.length === 0) return [];
+  const width = maze[0].length;
+  const key = ({ x, z }) => z * width + x;
+  const blocked = new Set(avoid.map(key));
+  const nearEnds = (cell) => [start, goal].some(
+    (end) => Math.abs(cell.x - end.x) <= clearance && Math.abs(cell.z - end.z) <= clearance,
+  );
+  const doorways = [];
+  const rooms = [];
+  for (let z = 1; z < maze.length - 1; z += 1) {
+    for (let x = 1; x < width - 1; x += 1) {
+      const cell = { x, z };
+      if (maze[z][x] !== 0 || blocked.has(key(cell)) || nearEnds(cell)) continue;
+      if (x % 2 === 1 && z % 2 === 1) rooms.push(cell);
+      else if ((x + z) % 2 === 1) doorways.push(cell);
+    }
+  }
+  shuffle(doorways, rng);
+  shuffle(rooms, rng);
+
+  const hazards = [];
+  for (let i = 0; i < count; i += 1) {
+    const kind = rng.pick(kinds);
+    const pool = kind === 'laser' ? doorways : rooms;
+    const index = pool.findIndex((cell) => !blocked.has(key(cell)));
+    if (index < 0) continue;
+    const [cell] = pool.splice(index, 1);
+    for (const dir of [{ x: 0, y: 0 }, ...CELL_DIRECTIONS]) {
+      blocked.add(key({ x: cell.x + dir.x, z: cell.z + dir.y }));
+    }
+    // A doorway at even x joins the cells either side of it along x.
+    const axis = kind !== 'laser' ? null : cell.x % 2 === 0 ? 'x' : 'z';
+    hazards.push({ kind, cell, axis });
+  }
+  return hazards;
+}
+
+/** Lift cells by grid index, each mapped to the cells its shaft leads to. */
+function linkMap(lifts, width) {
+  const links = new Map();
+  const add = (from, to) => {
+    const index = from.z * width + from.x;
+    links.set(index, [...(links.get(index) ?? []), to]);
+  };
+  for (const { from, to } of lifts) {
+    add(from, to);
+    add(to, from);
+  }
+  return links;
+}
+
+/** Grid neighbours of a cell followed by the cells `links` lead to from it. */
+function* stepsFrom({ x, z }, width, links) {
+  for (const dir of CELL_DIRECTIONS) yield { x: x + dir.x, z: z + dir.y };
+  yield* links.get(z * width + x) ?? [];
+}
+
+/**
+ * Breadth-first search from `start` to `goal` treating `closed` indices as
+ * walls and taking `links` from `linkMap()`.
+ */
+function isReachable(maze, start, goal, closed, links = new Map()) {
+  return reachableFrom(maze, start, closed, links).has(goal.z * maze[0].length + goal.x);
+}
+
+/** Indices of the open cells reachable from `start`, treating `closed` indices as walls. */
+function reachableFrom(maze, start, closed, links = new Map()) {
+  const width = maze[0].length;
+  const seen = new Set([start.z * width + start.x]);
+  const queue = [start];
+  for (let head = 0; head < queue.length; head += 1) {
+    for (const next of stepsFrom(queue[head], width, links)) {
+      const index = next.z * width + next.x;
+      if (seen.has(index) || maze[next.z][next.x] !== 0 || closed.has(index)) continue;
+      seen.add(index);
+      queue.push(next);
+    }
+  }
+  return seen;
+}
+
+/** Cells of a shortest open route from `start` to `goal`, or `null`. */
+function shortestRoute(maze, start, goal, links = new Map()) {
+  const width = maze[0].length;
+  const parents = new Map([[start.z * width + start.x, -1]]);
+  const queue = [start];
+  for (let head = 0; head < queue.length; head += 1) {
+    const { x, z } = queue[head];
+    if (x === goal.x && z === goal.z) {
+      const route = [];
+      for (let index = z * width + x; index !== -1; index = parents.get(index)) {
+        route.push({ x: index % width, z: Math.floor(index / width) });
+      }
+      return route.reverse();
+    }
+    for (const next of stepsFrom(queue[head], width, links)) {
+      const index = next.z * width + next.x;
+      if (parents.has(index) || maze[next.z][next.x] !== 0) continue;
+      parents.set(index, z * width + x);
+      queue.push(next);
+    }
+  }
+  return null;
+}
+
+/** Adapter exposing the odd-coordinate cells of a wall grid as a graph. */
+class CellGrid {
+  constructor(maze) {
+    this.maze = maze;
+    this.cols = (maze[0].length - 1) >> 1;
+    this.rows = (maze.length - 1) >> 1;
+  }
+
+  index(col, row) {
+    return row * this.cols + col;
+  }
+
+  neighbours(cell) {
+    const col = cell % this.cols;
+    const row = Math.floor(cell / this.cols);
+    const result = [];
+    for (const dir of CELL_DIRECTIONS) {
+      const c = col + dir.x;
+      const r = row + dir.y;
+      if (c >= 0 && c < this.cols && r >= 0 && r < this.rows) {
+        result.push(this.index(c, r));
+      }
+    }
+    return result;
+  }
+
+  open(cell) {
+    this.maze[2 * Math.floor(cell / this.cols) + 1][2 * (cell % this.cols) + 1] = 0;
+  }
+
+  carve(a, b) {
+    const ax = 2 * (a % this.cols) + 1;
+    const ay = 2 * Math.floor(a / this.cols) + 1;
+    const bx = 2 * (b % this.cols) + 1;
+    const by = 2 * Math.floor(b / this.cols) + 1;
+    this.maze[ay][ax] = 0;
+    this.maze[by][bx] = 0;
+    this.maze[(ay + by) / 2][(ax + bx) / 2] = 0;
+  }
+
+  isConnected(a, b) {
+    const ax = 2 * (a % this.cols) + 1;
+    const ay = 2 * Math.floor(a / this.cols) + 1;
+    const bx = 2 * (b % this.cols) + 1;
+    const by = 2 * Math.floor(b / this.cols) + 1;
+    return this.maze[(ay + by) / 2][(ax + bx) / 2] === 0;
+  }
+}
+
+/** Union-find over cell indices used by Kruskal-style generators. */
+class DisjointSet {
+  constructor(size) {
+    this.parent = Int32Array.from({ length: size }, (_, i) => i);
+  }
+
+  find(value) {
+    let root = value;
+    while (this.parent[root] !== root) root = this.parent[root];
+    while (this.parent[value] !== root) {
+      const next = this.parent[value];
+      this.parent[value] = root;
+      value = next;
+    }
+    return root;
+  }
+
+  union(a, b) {
+    const rootA = this.find(a);
+    const rootB = this.find(b);
+    if (rootA === rootB) return false;
+    this.parent[rootB] = rootA;
+    return true;
+  }
+}
+
+function shuffle(items, rng) {
+  for (let i = items.length - 1; i > 0; i -= 1) {
+    const j = rng.int(i + 1);
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
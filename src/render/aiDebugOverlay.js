@@ -0,0 +1,149 @@
+import { AI_STATE_COLORS, GAME_CONSTANTS } from '../constants.js';
+
+const THREE = window.THREE;
+
+/** Height above the floor at which paths and rings are drawn. */
+const OVERLAY_Y = 0.1;
+const LABEL_HEIGHT = 2.2;
+
+/**
+ * In-world view of what each enemy is thinking: its planned `ai.path` as a
+ * line, its FSM state path (and squad role) as a label above its mesh, and
+ * rings for its vision range, within which a sighting starts a chase, and
+ * its all-round awareness radius, all colored by `AI_STATE_COLORS`. Enemies
+ * on floors the renderer hides get no markers.
+ *
+ * Everything is read from the `AI` component and FSM each frame; the overlay
+ * keeps no state of its own beyond the Three.js objects. Its `aiDebug` render
+ * system is registered disabled and only switched on by `toggle()`, and
+ * disabling it disposes of every object, so it costs nothing while off.
+ */
+export class AIDebugOverlay {
+  /**
+   * @param {import('../sim/simulation.js').Simulation} simulation
+   * @param {THREE.Scene} scene
+   * @param {Map<number, THREE.Object3D>} meshes The renderer's entity meshes,
+   *   whose interpolated positions the overlay follows.
+   */
+  constructor(simulation, scene, meshes) {
+    this.sim = simulation;
+    this.scene = scene;
+    this.meshes = meshes;
+    this.enabled = false;
+    this.group = new THREE.Group();
+    /** @type {Map<number, { line: THREE.Line, label: THREE.Sprite, vision: THREE.Mesh, awareness: THREE.Mesh }>} */
+    this.markers = new Map();
+
+    this.sim.ecs.addSystem('aiDebug', () => this.#overlaySystem(), {
+      phase: 'render',
+      after: ['transforms', 'animation'],
+      enabled: false,
+    });
+  }
+
+  toggle() {
+    this.enabled = !this.enabled;
+    this.sim.ecs.setSystemEnabled('aiDebug', this.enabled);
+    if (this.enabled) {
+      this.scene.add(this.group);
+    } else {
+      this.scene.remove(this.group);
+      for (const eid of [...this.markers.keys()]) {
+        this.#removeMarker(eid);
+      }
+    }
+  }
+
+  #overlaySystem() {
+    const { sim } = this;
+    const seen = new Set();
+    for (const eid of sim.queries.enemyAI(sim.world)) {
+      const mesh = this.meshes.get(eid);
+      const ai = sim.AI.get(eid);
+      const { fsm } = ai;
+      if (!mesh || !fsm || mesh.parent?.visible === false) continue;
+      seen.add(eid);
+      const marker = this.markers.get(eid) ?? this.#createMarker(eid);
+      const color = AI_STATE_COLORS[fsm.stateName] ?? 0xffffff;
+      const floorY = sim.floorAt(mesh.position.y) * GAME_CONSTANTS.FLOOR_HEIGHT;
+
+      marker.vision.position.set(mesh.position.x, floorY + OVERLAY_Y, mesh.position.z);
+      marker.awareness.position.copy(marker.vision.position);
+      marker.vision.material.color.set(color);
+      marker.awareness.material.color.set(color);
+      marker.label.position.set(mesh.position.x, mesh.position.y + LABEL_HEIGHT, mesh.position.z);
+      this.#updateLabel(marker.label, ai.squadRole ? `${fsm.statePath} · ${ai.squadRole}` : fsm.statePath);
+      this.#updatePath(marker.line, { ...mesh.position, y: floorY }, ai, color);
+    }
+    for (const eid of [...this.markers.keys()]) {
+      if (!seen.has(eid)) this.#removeMarker(eid);
+    }
+  }
+
+  #createMarker(eid) {
+    const ring = (radius) => {
+      const mesh = new THREE.Mesh(
+        new THREE.RingGeometry(radius - 0.05, radius, 48),
+        new THREE.MeshBasicMaterial({ transparent: true, opacity: 0.5, side: THREE.DoubleSide }),
+      );
+      mesh.rotation.x = -Math.PI / 2;
+      return mesh;
+    };
+    const marker = {
+      line: new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial()),
+      label: new THREE.Sprite(new THREE.SpriteMaterial({ depthTest: false })),
+      vision: ring(GAME_CONSTANTS.AI_VISION_RANGE),
+      awareness: ring(GAME_CONSTANTS.AI_AWARENESS_RADIUS),
+    };
+    marker.label.scale.set(4, 1, 1);
+    for (const object of Object.values(marker)) this.group.add(object);
+    this.markers.set(eid, marker);
+    return marker;
+  }
+
+  #removeMarker(eid) {
+    for (const object of Object.values(this.markers.get(eid))) {
+      this.group.remove(object);
+      object.geometry?.dispose();
+      object.material.map?.dispose();
+      object.material.dispose();
+    }
+    this.markers.delete(eid);
+  }
+
+  /** Redraws the label's canvas texture, only when its text changed. */
+  #updateLabel(label, text) {
+    if (label.userData.text === text) return;
+    label.userData.text = text;
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'rgba(10, 15, 26, 0.7)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '22px monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, canvas.width / 2, canvas.height / 2, canvas.width - 8);
+    label.material.map?.dispose();
+    label.material.map = new THREE.CanvasTexture(canvas);
+    label.material.needsUpdate = true;
+  }
+
+  /**
+   * Line from the enemy, standing on the floor at `from.y`, through the
+   * nodes of its path it has yet to reach, climbing at lifts.
+   */
+  #updatePath(line, from, ai, color) {
+    line.visible = ai.path !== null && ai.pathIndex < ai.path.length;
+    if (!line.visible) return;
+    const points = [new THREE.Vector3(from.x, from.y + OVERLAY_Y, from.z)];
+    for (let i = ai.pathIndex; i < ai.path.length; i += 1) {
+      const { x, y, z } = this.sim.gridToWorld(ai.path[i].x, ai.path[i].z);
+      points.push(new THREE.Vector3(x, y + OVERLAY_Y, z));
+    }
+    line.geometry.setFromPoints(points);
+    line.material.color.set(color);
+  }
+}
@@ -0,0 +1,838 @@
+import {
+  AI_STATE_COLORS,
+  COLORS,
+  ENEMY_COLORS,
+  GAME_CONSTANTS,
+  HAZARD_COLORS,
+  KEYCARD_COLORS,
+  POWER_UP_COLORS,
+  TELEPORTER_COLORS,
+} from '../constants.js';
+import { GAME_EVENTS } from '../sim/gameEvents.js';
+import { AIDebugOverlay } from './aiDebugOverlay.js';
+
+const THREE = window.THREE;
+
+/** Camera shake intensity triggered by each gameplay event. */
+const EVENT_SHAKE = Object.freeze({
+  [GAME_EVENTS.PHASE_DASHED]: 5,
+  [GAME_EVENTS.PULSE_EMITTED]: 6,
+  [GAME_EVENTS.POWER_UP_ACTIVATED]: 8,
+  [GAME_EVENTS.LEVEL_COMPLETED]: 12,
+  [GAME_EVENTS.PLAYER_DAMAGED]: 15,
+  [GAME_EVENTS.ENEMY_SPLIT]: 6,
+  [GAME_EVENTS.ENEMY_DESTROYED]: 8,
+  [GAME_EVENTS.DOOR_UNLOCKED]: 4,
+  [GAME_EVENTS.FLOOR_COLLAPSED]: 6,
+});
+
+/** Seconds an energy pulse's ring takes to spread to its full radius. */
+const PULSE_RING_SECONDS = 0.4;
+
+/**
+ * Presents a `Simulation` with Three.js. Meshes are created and destroyed in
+ * response to simulation events and synchronized with ECS positions each frame,
+ * interpolating between the last two simulation ticks. Each maze floor has its
+ * own group of meshes, and the floors above the player's are hidden so the
+ * camera can look down on the one they are on.
+ */
+export class SceneRenderer {
+  /**
+   * @param {import('../sim/simulation.js').Simulation} simulation
+   * @param {import('../core/emitter.js').Emitter} [events] Source of gameplay
+   *   events for camera shake; defaults to the simulation itself.
+   */
+  constructor(simulation, events = simulation) {
+    this.sim = simulation;
+    this.meshes = new Map();
+    /** @type {THREE.Group[]} Meshes on each maze floor, by floor. */
+    this.floorGroups = [];
+    /** @type {THREE.Object3D[]} Ground planes and grids of the current level. */
+    this.groundMeshes = [];
+    this.cameraMode = 'third';
+    this.screenShake = 0;
+    /** @type {Array<{ mesh: THREE.Mesh, radius: number, age: number }>} */
+    this.pulseRings = [];
+
+    this.#initializeRenderer();
+    this.#initializeGeometry();
+    this.#registerSystems();
+    this.aiDebug = new AIDebugOverlay(this.sim, this.scene, this.meshes);
+
+    this.sim.on('entityCreated', (eid) => this.#createMesh(eid));
+    this.sim.on('entityRemoved', (eid) => this.#removeMesh(eid));
+    this.sim.on('levelCreated', ({ size, floors }) => this.#createGround(size, floors));
+    for (const [event, intensity] of Object.entries(EVENT_SHAKE)) {
+      events.on(event, () => this.triggerScreenShake(intensity));
+    }
+    events.on(GAME_EVENTS.PULSE_EMITTED, ({ position, radius }) => this.#addPulseRing(position, radius));
+
+    for (const eid of this.sim.ecs.entities) {
+      this.#createMesh(eid);
+    }
+    this.#createGround(this.sim.state.currentMazeSize, this.sim.state.floors);
+  }
+
+  toggleCameraMode() {
+    this.cameraMode = this.cameraMode === 'third' ? 'first' : 'third';
+  }
+
+  triggerScreenShake(intensity = 10) {
+    this.screenShake = intensity;
+  }
+
+  resize(width, height) {
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+    this.renderer.setSize(width, height);
+  }
+
+  /**
+   * Runs the simulation's `render` scheduler phase and draws the frame.
+   * @param {number} deltaTime Seconds since the previous frame.
+   * @param {number} [alpha] Fraction (0–1) of a tick elapsed since the last
+   *   simulation step, used to interpolate entity positions.
+   */
+  render(deltaTime, alpha = 1) {
+    this.sim.ecs.runPhase('render', { deltaTime, alpha });
+    this.renderer.render(this.scene, this.camera);
+  }
+
+  /** Registers the visual systems in the simulation's `render` phase. */
+  #registerSystems() {
+    const { ecs } = this.sim;
+    const phase = 'render';
+    ecs.addSystem('particleMeshes', () => this.#particleSystem(), { phase });
+    ecs.addSystem('transforms', ({ deltaTime, alpha }) => this.#renderSystem(deltaTime, alpha), {
+      phase,
+      after: ['particleMeshes'],
+    });
+    ecs.addSystem('trail', () => this.#trailSystem(), { phase, after: ['transforms'] });
+    ecs.addSystem('movingWallMeshes', ({ alpha }) => this.#movingWallSystem(alpha), {
+      phase,
+      after: ['transforms'],
+    });
+    ecs.addSystem('doorMeshes', ({ alpha }) => this.#doorSystem(alpha), {
+      phase,
+      after: ['transforms'],
+    });
+    ecs.addSystem('pulseRings', ({ deltaTime }) => this.#pulseRingSystem(deltaTime), {
+      phase,
+      after: ['transforms'],
+    });
+    ecs.addSystem('hazardMeshes', () => this.#hazardSystem(), {
+      phase,
+      after: ['transforms'],
+    });
+    ecs.addSystem('animation', ({ deltaTime }) => this.#animationSystem(deltaTime), {
+      phase,
+      after: ['transforms'],
+    });
+    ecs.addSystem('floorVisibility', () => this.#floorVisibilitySystem(), {
+      phase,
+      after: ['transforms'],
+    });
+    ecs.addSystem('camera', ({ deltaTime }) => this.#cameraSystem(deltaTime), {
+      phase,
+      after: ['trail', 'animation'],
+    });
+  }
+
+  #initializeRenderer() {
+    this.scene = new THREE.Scene();
+    this.scene.background = new THREE.Color(0x0a0f1a);
+    this.scene.fog = new THREE.FogExp2(0x0a0f1a, 0.02);
+
+    this.camera = new THREE.PerspectiveCamera(
+      75,
+      window.innerWidth / window.innerHeight,
+      0.1,
+      1000,
+    );
+
+    this.renderer = new THREE.WebGLRenderer({ antialias: true });
+    this.renderer.setSize(window.innerWidth, window.innerHeight);
+    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    this.renderer.shadowMap.enabled = true;
+    this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    document.body.appendChild(this.renderer.domElement);
+
+    this.scene.add(new THREE.AmbientLight(COLORS.primary, 0.3));
+    const directional = new THREE.DirectionalLight(COLORS.primary, 1.5);
+    directional.position.set(50, 100, 50);
+    directional.castShadow = true;
+    directional.shadow.mapSize.width = 2048;
+    directional.shadow.mapSize.height = 2048;
+    this.scene.add(directional);
+  }
+
+  /** Geometry shared by every mesh of the same kind. */
+  #initializeGeometry() {
+    this.geometry = {
+      particle: new THREE.SphereGeometry(0.05, 8, 8),
+      wall: new THREE.BoxGeometry(
+        GAME_CONSTANTS.CELL_SIZE,
+        GAME_CONSTANTS.WALL_HEIGHT,
+        GAME_CONSTANTS.CELL_SIZE,
+      ),
+      collectible: new THREE.OctahedronGeometry(0.4),
+      powerUp: new THREE.TetrahedronGeometry(0.6),
+      projectile: new THREE.SphereGeometry(GAME_CONSTANTS.PROJECTILE_RADIUS, 12, 12),
+      keycard: new THREE.BoxGeometry(0.7, 0.45, 0.06),
+      hazardTile: new THREE.PlaneGeometry(GAME_CONSTANTS.CELL_SIZE * 0.9, GAME_CONSTANTS.CELL_SIZE * 0.9),
+      laserBeam: new THREE.BoxGeometry(0.08, GAME_CONSTANTS.WALL_HEIGHT * 0.8, GAME_CONSTANTS.CELL_SIZE),
+      liftPad: new THREE.CircleGeometry(1.1, 24),
+      liftShaft: new THREE.CylinderGeometry(1, 1, GAME_CONSTANTS.FLOOR_HEIGHT, 24, 1, true),
+    };
+    this.wallMaterial = new THREE.MeshStandardMaterial({ color: COLORS.wall, roughness: 0.6 });
+  }
+
+  /** The group holding the meshes on `floor`, created on first use. */
+  #floorGroup(floor) {
+    while (this.floorGroups.length <= floor) {
+      const group = new THREE.Group();
+      this.scene.add(group);
+      this.floorGroups.push(group);
+    }
+    return this.floorGroups[floor];
+  }
+
+  /** Lays a ground plane and grid under each of the level's `floors`. */
+  #createGround(size, floors = 1) {
+    for (const mesh of this.groundMeshes) mesh.parent?.remove(mesh);
+    this.groundMeshes = [];
+
+    const totalSize = size * GAME_CONSTANTS.CELL_SIZE;
+    for (let floor = 0; floor < floors; floor += 1) {
+      const y = floor * GAME_CONSTANTS.FLOOR_HEIGHT;
+      const ground = new THREE.Mesh(
+        new THREE.PlaneGeometry(totalSize, totalSize),
+        new THREE.MeshStandardMaterial({ color: COLORS.ground, roughness: 0.8 }),
+      );
+      ground.rotation.x = -Math.PI / 2;
+      ground.position.y = y;
+      ground.receiveShadow = true;
+
+      const grid = new THREE.GridHelper(
+        totalSize,
+        size * 2,
+        COLORS.primary,
+        COLORS.primary,
+      );
+      grid.material.opacity = 0.1;
+      grid.material.transparent = true;
+      grid.position.y = y + 0.01;
+
+      this.#floorGroup(floor).add(ground, grid);
+      this.groundMeshes.push(ground, grid);
+    }
+  }
+
+  #createMesh(eid) {
+    if (this.meshes.has(eid) || !this.sim.Renderable.has(eid)) return;
+    const { kind } = this.sim.Renderable.get(eid);
+    let mesh;
+    switch (kind) {
+      case 'player':
+        mesh = this.#createPlayerMesh();
+        break;
+      case 'trail':
+        mesh = new THREE.Line(
+          new THREE.BufferGeometry(),
+          new THREE.LineBasicMaterial({ color: COLORS.primary, transparent: true, opacity: 0.6 }),
+        );
+        mesh.points = [];
+        break;
+      case 'wall':
+        mesh = new THREE.Mesh(this.geometry.wall, this.wallMaterial);
+        mesh.castShadow = true;
+        break;
+      case 'movingWall':
+        mesh = new THREE.Mesh(
+          this.geometry.wall,
+          new THREE.MeshStandardMaterial({
+            color: COLORS.wall,
+            emissive: COLORS.warning,
+            emissiveIntensity: 0.15,
+            roughness: 0.4,
+          }),
+        );
+        mesh.castShadow = true;
+        break;
+      case 'door': {
+        const color = KEYCARD_COLORS[this.sim.Door.get(eid).color];
+        mesh = new THREE.Mesh(
+          this.geometry.wall,
+          new THREE.MeshStandardMaterial({
+            color,
+            emissive: color,
+            emissiveIntensity: 0.35,
+            transparent: true,
+            opacity: 0.85,
+          }),
+        );
+        mesh.castShadow = true;
+        break;
+      }
+      case 'keycard': {
+        const color = KEYCARD_COLORS[this.sim.Keycard.get(eid).color];
+        mesh = new THREE.Mesh(
+          this.geometry.keycard,
+          new THREE.MeshStandardMaterial({ color, emissive: color, emissiveIntensity: 0.6 }),
+        );
+        mesh.add(new THREE.PointLight(color, 0.8, 4));
+        break;
+      }
+      case 'goal':
+        mesh = this.#createGoalMesh();
+        break;
+      case 'collectible':
+        mesh = new THREE.Mesh(
+          this.geometry.collectible,
+          new THREE.MeshStandardMaterial({
+            color: COLORS.accent,
+            emissive: COLORS.accent,
+            emissiveIntensity: 0.4,
+            metalness: 0.9,
+          }),
+        );
+        break;
+      case 'powerUp': {
+        const { type } = this.sim.PowerUp.get(eid);
+        mesh = new THREE.Mesh(
+          this.geometry.powerUp,
+          new THREE.MeshStandardMaterial({
+            color: POWER_UP_COLORS[type],
+            emissive: POWER_UP_COLORS[type],
+            emissiveIntensity: 0.5,
+            transparent: true,
+            opacity: 0.8,
+          }),
+        );
+        break;
+      }
+      case 'enemy':
+        mesh = this.#createEnemyMesh(this.sim.Enemy.get(eid));
+        break;
+      case 'spawner':
+        mesh = new THREE.Mesh(
+          new THREE.RingGeometry(0.6, 1.1, 24),
+          new THREE.MeshBasicMaterial({
+            color: COLORS.accent,
+            transparent: true,
+            opacity: 0.5,
+            side: THREE.DoubleSide,
+          }),
+        );
+        mesh.rotation.x = -Math.PI / 2;
+        break;
+      case 'teleporter': {
+        const { target, twoWay } = this.sim.Teleporter.get(eid);
+        const color = twoWay ? TELEPORTER_COLORS.pad : TELEPORTER_COLORS.portal;
+        mesh = new THREE.Mesh(
+          new THREE.CircleGeometry(1.2, 6),
+          new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity: 0.6,
+            side: THREE.DoubleSide,
+          }),
+        );
+        mesh.rotation.x = -Math.PI / 2;
+        // Entrances light up their cell; portal exits are only a faint mark.
+        if (target) mesh.add(new THREE.PointLight(color, 0.8, 5));
+        break;
+      }
+      case 'hazard':
+        mesh = this.#createHazardMesh(eid);
+        break;
+      case 'lift':
+        mesh = this.#createLiftMesh();
+        break;
+      case 'projectile':
+        mesh = new THREE.Mesh(
+          this.geometry.projectile,
+          new THREE.MeshBasicMaterial({ color: ENEMY_COLORS.sentry }),
+        );
+        mesh.add(new THREE.PointLight(ENEMY_COLORS.sentry, 1, 4));
+        break;
+      case 'particle':
+        mesh = new THREE.Mesh(
+          this.geometry.particle,
+          new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true }),
+        );
+        mesh.visible = false;
+        break;
+      default:
+        return;
+    }
+
+    const position = this.sim.Position.get(eid);
+    if (position) mesh.position.set(position.x, position.y, position.z);
+    // Pooled particles fly anywhere and stay in the scene itself.
+    if (kind === 'particle' || !position) {
+      this.scene.add(mesh);
+    } else {
+      this.#floorGroup(this.sim.floorAt(position.y)).add(mesh);
+    }
+    this.meshes.set(eid, mesh);
+  }
+
+  #removeMesh(eid) {
+    const mesh = this.meshes.get(eid);
+    if (!mesh) return;
+    mesh.parent?.remove(mesh);
+    this.meshes.delete(eid);
+  }
+
+  #createPlayerMesh() {
+    const mesh = new THREE.Mesh(
+      new THREE.SphereGeometry(GAME_CONSTANTS.PLAYER_RADIUS, 32, 32),
+      new THREE.MeshStandardMaterial({
+        color: COLORS.primary,
+        emissive: COLORS.primary,
+        emissiveIntensity: 0.4,
+        metalness: 0.8,
+      }),
+    );
+    mesh.castShadow = true;
+    mesh.add(new THREE.PointLight(COLORS.primary, 2, 15));
+
+    const aura = new THREE.Mesh(
+      new THREE.SphereGeometry(0.8, 16, 16),
+      new THREE.MeshBasicMaterial({ color: COLORS.primary, transparent: true, opacity: 0.1, side: THREE.DoubleSide }),
+    );
+    mesh.add(aura);
+    return mesh;
+  }
+
+  /** Glowing pads on both floors joined by a faint shaft, based on the lower one. */
+  #createLiftMesh() {
+    const { FLOOR_HEIGHT } = GAME_CONSTANTS;
+    const padMaterial = new THREE.MeshBasicMaterial({
+      color: COLORS.lift,
+      transparent: true,
+      opacity: 0.6,
+      side: THREE.DoubleSide,
+    });
+    const mesh = new THREE.Mesh(this.geometry.liftPad, padMaterial);
+    mesh.rotation.x = -Math.PI / 2;
+
+    const top = new THREE.Mesh(this.geometry.liftPad, padMaterial);
+    top.position.z = FLOOR_HEIGHT;
+    mesh.add(top);
+
+    const shaft = new THREE.Mesh(
+      this.geometry.liftShaft,
+      new THREE.MeshBasicMaterial({
+        color: COLORS.lift,
+        transparent: true,
+        opacity: 0.08,
+        side: THREE.DoubleSide,
+        depthWrite: false,
+      }),
+    );
+    // The pad lies rotated flat, so its local z points up.
+    shaft.rotation.x = Math.PI / 2;
+    shaft.position.z = FLOOR_HEIGHT / 2;
+    mesh.add(shaft);
+    mesh.add(new THREE.PointLight(COLORS.lift, 0.6, 5));
+    return mesh;
+  }
+
+  #createGoalMesh() {
+    const mesh = new THREE.Mesh(
+      new THREE.CylinderGeometry(1.5, 1.8, 0.3, 16),
+      new THREE.MeshStandardMaterial({ color: COLORS.success, emissive: COLORS.success, emissiveIntensity: 0.5 }),
+    );
+    const beam = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.1, 1.5, 8, 16, 1, true),
+      new THREE.MeshBasicMaterial({ color: COLORS.success, transparent: true, opacity: 0.3, side: THREE.DoubleSide }),
+    );
+    beam.position.y = 4;
+    mesh.add(beam);
+    return mesh;
+  }
+
+  #createEnemyMesh({ type, scale }) {
+    const color = ENEMY_COLORS[type];
+    const material = new THREE.MeshStandardMaterial({ color, emissive: color, emissiveIntensity: 0.4 });
+    let mesh;
+    switch (type) {
+      case 'patrol':
+        material.emissiveIntensity = 0.3;
+        mesh = new THREE.Mesh(new THREE.BoxGeometry(0.8, 0.8, 0.8), material);
+        break;
+      case 'ambusher':
+        mesh = new THREE.Mesh(new THREE.OctahedronGeometry(0.6), material);
+        break;
+      case 'sentry': {
+        mesh = new THREE.Mesh(new THREE.CylinderGeometry(0.45, 0.6, 1.0, 8), material);
+        const eye = new THREE.Mesh(
+          new THREE.SphereGeometry(0.2, 12, 12),
+          new THREE.MeshBasicMaterial({ color: 0xffffff }),
+        );
+        eye.position.set(0.45, 0.2, 0);
+        mesh.add(eye);
+        break;
+      }
+      case 'phaser':
+        material.transparent = true;
+        material.opacity = 0.55;
+        mesh = new THREE.Mesh(new THREE.IcosahedronGeometry(0.55), material);
+        break;
+      case 'splitter':
+        mesh = new THREE.Mesh(new THREE.DodecahedronGeometry(0.6), material);
+        break;
+      default:
+        mesh = new THREE.Mesh(new THREE.ConeGeometry(0.5, 1.2, 6), material);
+        break;
+    }
+    mesh.scale.setScalar(scale);
+    mesh.castShadow = true;
+    return mesh;
+  }
+
+  #particleSystem() {
+    for (const eid of this.sim.queries.particles(this.sim.world)) {
+      const particle = this.sim.Particle.get(eid);
+      const mesh = this.meshes.get(eid);
+      if (!mesh) continue;
+      mesh.visible = particle.active;
+      if (particle.active) {
+        mesh.material.color.set(particle.color);
+        mesh.material.opacity = particle.life / particle.maxLife;
+      }
+    }
+  }
+
+  #trailSystem() {
+    const { sim } = this;
+    const playerMesh = this.meshes.get(sim.state.playerEid);
+    if (!playerMesh) return;
+    const playerPos = playerMesh.position;
+    for (const eid of sim.queries.trails(sim.world)) {
+      const line = this.meshes.get(eid);
+      if (!line || !line.points) continue;
+      line.points.push(new THREE.Vector3(playerPos.x, playerPos.y, playerPos.z));
+      while (line.points.length > 60) {
+        line.points.shift();
+      }
+      if (line.points.length > 1) {
+        line.geometry.setFromPoints(line.points);
+      }
+    }
+  }
+
+  #renderSystem(deltaTime, alpha) {
+    const { sim } = this;
+    for (const eid of sim.queries.dynamicRendered(sim.world)) {
+      const mesh = this.meshes.get(eid);
+      if (!mesh) continue;
+      const pos = sim.Position.get(eid);
+      const prev = sim.PreviousPosition.get(eid);
+      if (prev) {
+        mesh.position.set(
+          prev.x + (pos.x - prev.x) * alpha,
+          prev.y + (pos.y - prev.y) * alpha,
+          prev.z + (pos.z - prev.z) * alpha,
+        );
+      } else {
+        mesh.position.set(pos.x, pos.y, pos.z);
+      }
+      // Riders change floor groups partway up or down a lift.
+      const group = mesh.parent === this.scene ? null : this.#floorGroup(sim.floorAt(pos.y));
+      if (group && mesh.parent !== group) group.add(mesh);
+      if (sim.ecs.hasComponent(sim.world, sim.Player, eid)) {
+        const vel = sim.Velocity.get(eid);
+        const speed = Math.hypot(vel.x, vel.z);
+        if (speed > 0.01) {
+          const axis = new THREE.Vector3(vel.z, 0, -vel.x).normalize();
+          const angle = speed / GAME_CONSTANTS.PLAYER_RADIUS;
+          const rotation = new THREE.Quaternion();
+          rotation.setFromAxisAngle(axis, angle * deltaTime);
+          mesh.quaternion.premultiply(rotation);
+        }
+      }
+    }
+  }
+
+  /** Hover and spin offsets are purely visual and applied on top of ECS positions. */
+  #animationSystem(deltaTime) {
+    const { sim } = this;
+    const now = Date.now();
+    const frames = deltaTime * 60;
+    for (const eid of sim.queries.animated(sim.world)) {
+      const anim = sim.Animation.get(eid);
+      const mesh = this.meshes.get(eid);
+      if (!mesh) continue;
+
+      if (sim.ecs.hasComponent(sim.world, sim.Collectible, eid) ||
+        sim.ecs.hasComponent(sim.world, sim.PowerUp, eid) ||
+        sim.ecs.hasComponent(sim.world, sim.Keycard, eid)) {
+        mesh.rotation.y += anim.speed * 100 * frames;
+        mesh.position.y = sim.floorAt(mesh.position.y) * GAME_CONSTANTS.FLOOR_HEIGHT +
+          GAME_CONSTANTS.POWERUP_SPAWN_Y + Math.sin(now * anim.speed + anim.phase) * 0.4;
+      }
+
+      if (sim.ecs.hasComponent(sim.world, sim.Goal, eid) && mesh.children[0]) {
+        // A goal still waiting on keycards stays dark and beamless.
+        const { active } = sim.Goal.get(eid);
+        mesh.material.emissiveIntensity = active ? 0.5 : 0.05;
+        mesh.children[0].visible = active;
+        mesh.children[0].rotation.y += anim.speed * frames;
+        mesh.children[0].material.opacity = 0.3 + Math.sin(now * 0.003) * 0.2;
+      }
+
+      if (sim.ecs.hasComponent(sim.world, sim.Spawner, eid)) {
+        mesh.rotation.z += anim.speed * frames;
+        mesh.material.opacity = 0.35 + sim.Spawner.get(eid).queue.length * 0.15;
+      }
+
+      if (sim.ecs.hasComponent(sim.world, sim.Teleporter, eid)) {
+        // Entrances spin and pulse while charged and fade while recharging.
+        const { target, readyTick } = sim.Teleporter.get(eid);
+        const charged = target !== null && sim.state.tick >= readyTick;
+        mesh.rotation.z += anim.speed * (charged ? 1 : 0.2) * frames;
+        mesh.material.opacity = !target ? 0.25 : charged ? 0.5 + Math.sin(now * 0.005) * 0.15 : 0.15;
+      }
+
+      if (sim.ecs.hasComponent(sim.world, sim.Lift, eid)) {
+        // Lift pads turn slowly and dim while the car is away or resting.
+        const ready = sim.state.tick >= sim.Lift.get(eid).readyTick;
+        mesh.rotation.z += anim.speed * frames;
+        mesh.material.opacity = ready ? 0.5 + Math.sin(now * 0.004) * 0.15 : 0.2;
+      }
+
+      if (sim.ecs.hasComponent(sim.world, sim.Enemy, eid)) {
+        const { type } = sim.Enemy.get(eid);
+        const ai = sim.AI.get(eid);
+        // Enemies running from a shielded player turn blue until it wears
+        // off, and stunned ones white while they wobble.
+        const stunned = sim.state.tick < (ai?.stunnedUntil ?? 0);
+        const tint = stunned ? 'stunned' : ai?.fsm?.isIn('fleeing') ? 'fleeing' : null;
+        if (mesh.userData.tint !== tint) {
+          mesh.userData.tint = tint;
+          const color = tint === 'stunned'
+            ? AI_STATE_COLORS.stunned
+            : tint === 'fleeing' ? COLORS.secondary : ENEMY_COLORS[type];
+          mesh.material.color.set(color);
+          mesh.material.emissive.set(color);
+        }
+        mesh.rotation.z = stunned ? Math.sin(now * 0.02) * 0.3 : 0;
+        // Sentries hold still and point their eye where they are looking.
+        if (type === 'sentry') {
+          mesh.rotation.y = -sim.Perception.get(eid).facing;
+        } else {
+          mesh.rotation.y += anim.speed * frames;
+        }
+        mesh.position.y += Math.sin(now * anim.speed * 2 + anim.phase) * 0.1;
+      }
+    }
+  }
+
+  /**
+   * Eases moving wall segments into place over `MOVING_WALL_SHIFT_TICKS`
+   * after each shift, and pulses them while they warn of the next one.
+   */
+  #movingWallSystem(alpha) {
+    const { sim } = this;
+    const { CELL_SIZE, WALL_HEIGHT, MOVING_WALL_SHIFT_TICKS } = GAME_CONSTANTS;
+    const now = Date.now();
+    for (const eid of sim.queries.movingWalls(sim.world)) {
+      const mesh = this.meshes.get(eid);
+      if (!mesh) continue;
+      const { motion, cells, pivot, phase, shiftedTick, warned } = sim.MovingWall.get(eid);
+      const elapsed = shiftedTick === null ? Infinity : sim.state.tick - shiftedTick + alpha;
+      const t = Math.min(1, elapsed / MOVING_WALL_SHIFT_TICKS);
+      const eased = t * t * (3 - 2 * t);
+      const from = cells[1 - phase];
+      const to = cells[phase];
+
+      // Rising doors have no pivot; the first cell is set for every motion.
+      const base = sim.gridToWorld(cells[0].x, cells[0].z).y;
+      if (motion === 'rotate') {
+        // The arm swings a quarter turn around its pillar.
+        const centre = sim.gridToWorld(pivot.x, pivot.z);
+        const angleOf = (cell) => Math.atan2(cell.z - pivot.z, cell.x - pivot.x);
+        const turn = Math.atan2(
+          Math.sin(angleOf(to) - angleOf(from)),
+          Math.cos(angleOf(to) - angleOf(from)),
+        );
+        const angle = angleOf(from) + turn * eased;
+        mesh.position.set(
+          centre.x + Math.cos(angle) * CELL_SIZE,
+          base + WALL_HEIGHT / 2,
+          centre.z + Math.sin(angle) * CELL_SIZE,
+        );
+        mesh.rotation.y = -angle;
+      } else if (motion === 'slide') {
+        // The door retracts into the pillar beside its doorway.
+        const door = sim.gridToWorld(cells[0].x, cells[0].z);
+        const pocket = sim.gridToWorld(pivot.x, pivot.z);
+        const [start, end] = to ? [pocket, door] : [door, pocket];
+        mesh.position.set(
+          start.x + (end.x - start.x) * eased,
+          base + WALL_HEIGHT / 2,
+          start.z + (end.z - start.z) * eased,
+        );
+      } else {
+        // Rising doors sink until their top is flush with the floor.
+        const door = sim.gridToWorld(cells[0].x, cells[0].z);
+        const raised = WALL_HEIGHT / 2;
+        const [start, end] = to ? [-raised, raised] : [raised, -raised];
+        mesh.position.set(door.x, base + start + (end - start) * eased, door.z);
+      }
+
+      mesh.material.emissiveIntensity = warned ? 0.5 + Math.sin(now * 0.02) * 0.4 : 0.15;
+    }
+  }
+
+  #addPulseRing(position, radius) {
+    const mesh = new THREE.Mesh(
+      new THREE.RingGeometry(0.85, 1, 48),
+      new THREE.MeshBasicMaterial({
+        color: COLORS.primary,
+        transparent: true,
+        opacity: 0.8,
+        side: THREE.DoubleSide,
+      }),
+    );
+    mesh.rotation.x = -Math.PI / 2;
+    mesh.position.set(
+      position.x,
+      this.sim.floorAt(position.y) * GAME_CONSTANTS.FLOOR_HEIGHT + 0.1,
+      position.z,
+    );
+    mesh.scale.setScalar(0.01);
+    this.scene.add(mesh);
+    this.pulseRings.push({ mesh, radius, age: 0 });
+  }
+
+  /** Spreads each pulse ring out to its radius while it fades, then disposes of it. */
+  #pulseRingSystem(deltaTime) {
+    for (const ring of [...this.pulseRings]) {
+      ring.age += deltaTime;
+      const t = Math.min(1, ring.age / PULSE_RING_SECONDS);
+      ring.mesh.scale.setScalar(Math.max(0.01, ring.radius * t));
+      ring.mesh.material.opacity = 0.8 * (1 - t);
+      if (t < 1) continue;
+      this.scene.remove(ring.mesh);
+      ring.mesh.geometry.dispose();
+      ring.mesh.material.dispose();
+      this.pulseRings.splice(this.pulseRings.indexOf(ring), 1);
+    }
+  }
+
+  /**
+   * A laser gate is a beam across its doorway, facing along the axis it is
+   * crossed on; floor hazards are tiles flush with the ground.
+   */
+  #createHazardMesh(eid) {
+    const { kind } = this.sim.Hazard.get(eid);
+    const color = HAZARD_COLORS[kind];
+    const material = new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity: 0.5,
+      side: THREE.DoubleSide,
+    });
+    if (kind === 'laser') {
+      const mesh = new THREE.Mesh(this.geometry.laserBeam, material);
+      if (this.sim.LaserGate.get(eid).axis === 'z') mesh.rotation.y = Math.PI / 2;
+      mesh.add(new THREE.PointLight(color, 0.8, 4));
+      return mesh;
+    }
+    const mesh = new THREE.Mesh(this.geometry.hazardTile, material);
+    mesh.rotation.x = -Math.PI / 2;
+    return mesh;
+  }
+
+  /**
+   * Shows each hazard's state: lasers only glow while on, shock floors
+   * flicker while charged, slow fields pulse, and crumbling floors shake
+   * while cracking and turn into a dark hole once collapsed.
+   */
+  #hazardSystem() {
+    const { sim } = this;
+    const now = Date.now();
+    for (const eid of sim.queries.hazards(sim.world)) {
+      const mesh = this.meshes.get(eid);
+      if (!mesh) continue;
+      const { kind } = sim.Hazard.get(eid);
+      if (kind === 'laser') {
+        const { active } = sim.LaserGate.get(eid);
+        mesh.material.opacity = active ? 0.85 : 0.06;
+        mesh.children[0].visible = active;
+      } else if (kind === 'shock') {
+        mesh.material.opacity = sim.ShockFloor.get(eid).charged ? 0.4 + Math.random() * 0.5 : 0.15;
+      } else if (kind === 'slow') {
+        mesh.material.opacity = 0.3 + Math.sin(now * 0.002) * 0.1;
+      } else {
+        const { state } = sim.CrumblingFloor.get(eid);
+        const collapsed = state === 'collapsed';
+        mesh.material.color.set(collapsed ? 0x000000 : HAZARD_COLORS.crumble);
+        mesh.material.opacity = collapsed ? 0.9 : 0.6;
+        if (state === 'cracking') {
+          mesh.position.x += (Math.random() - 0.5) * 0.08;
+          mesh.position.z += (Math.random() - 0.5) * 0.08;
+        }
+      }
+    }
+  }
+
+  /** Sinks unlocked doors into the floor over `DOOR_OPEN_TICKS`, then hides them. */
+  #doorSystem(alpha) {
+    const { sim } = this;
+    const { WALL_HEIGHT, DOOR_OPEN_TICKS, FLOOR_HEIGHT } = GAME_CONSTANTS;
+    for (const eid of sim.queries.doors(sim.world)) {
+      const mesh = this.meshes.get(eid);
+      const { openedTick } = sim.Door.get(eid);
+      if (!mesh || openedTick === null) continue;
+      const t = Math.min(1, (sim.state.tick - openedTick + alpha) / DOOR_OPEN_TICKS);
+      const base = sim.floorAt(sim.Position.get(eid).y) * FLOOR_HEIGHT;
+      mesh.position.y = base + WALL_HEIGHT / 2 - t * t * WALL_HEIGHT;
+      mesh.visible = t < 1;
+    }
+  }
+
+  /** Hides the floors above the one the player is on. */
+  #floorVisibilitySystem() {
+    const { sim } = this;
+    if (!sim.ecs.entityExists(sim.world, sim.state.playerEid)) return;
+    const playerFloor = sim.floorAt(sim.Position.get(sim.state.playerEid).y);
+    this.floorGroups.forEach((group, floor) => {
+      group.visible = floor <= playerFloor;
+    });
+  }
+
+  #cameraSystem(deltaTime) {
+    const { sim } = this;
+    const playerMesh = this.meshes.get(sim.state.playerEid);
+    if (!playerMesh) return;
+    const frames = deltaTime * 60;
+    const target = new THREE.Vector3();
+    const lookAt = playerMesh.position.clone();
+
+    if (this.screenShake > 0) {
+      const intensity = this.screenShake * 0.1;
+      lookAt.x += (Math.random() - 0.5) * intensity;
+      lookAt.y += (Math.random() - 0.5) * intensity;
+      this.screenShake *= Math.pow(0.9, frames);
+      if (this.screenShake < 0.1) this.screenShake = 0;
+    }
+
+    const mazeSize = sim.state.currentMazeSize;
+    if (this.cameraMode === 'third') {
+      const height = Math.max(12, mazeSize * 0.4);
+      const distance = Math.max(10, mazeSize * 0.3);
+      target.set(lookAt.x, lookAt.y + height, lookAt.z + distance);
+      this.camera.position.lerp(target, 1 - Math.pow(0.95, frames));
+    } else {
+      const height = Math.max(30, mazeSize * 1.2);
+      target.set(lookAt.x, lookAt.y + height, lookAt.z);
+      this.camera.position.copy(target);
+    }
+    this.camera.lookAt(lookAt);
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * Compact replay file format. Each tick's held actions are packed into a
+ * bitmask and consecutive identical masks are run-length encoded as flat
+ * `[count, mask, count, mask, ...]` pairs.
+ */
+
+/** Bumped whenever the replay layout changes incompatibly. */
+export const REPLAY_FORMAT = 1;
+
+// Bit positions are part of the file format: only ever append new actions.
+const ACTION_BITS = Object.freeze([
+  'MOVE_FORWARD',
+  'MOVE_BACK',
+  'MOVE_LEFT',
+  'MOVE_RIGHT',
+  'JUMP',
+  'BOOST',
+  'PULSE',
+]);
+
+const maskCache = new Map();
+
+/**
+ * @param {Iterable<string>} actions
+ * @returns {number}
+ */
+export function actionsToMask(actions) {
+  let mask = 0;
+  for (const action of actions) {
+    const bit = ACTION_BITS.indexOf(action);
+    if (bit >= 0) mask |= 1 << bit;
+  }
+  return mask;
+}
+
+/**
+ * @param {number} mask
+ * @returns {Set<string>} Shared, read-only set of the actions in `mask`.
+ */
+export function maskToActions(mask) {
+  if (!maskCache.has(mask)) {
+    maskCache.set(mask, new Set(ACTION_BITS.filter((_, bit) => mask & (1 << bit))));
+  }
+  return maskCache.get(mask);
+}
+
+/**
+ * Expands run-length encoded input into one mask per tick.
+ * @param {number[]} runs
+ * @returns {Uint8Array}
+ */
+export function decodeInputs(runs) {
+  let length = 0;
+  for (let i = 0; i < runs.length; i += 2) {
+    length += runs[i];
+  }
+  const masks = new Uint8Array(length);
+  let offset = 0;
+  for (let i = 0; i < runs.length; i += 2) {
+    masks.fill(runs[i + 1], offset, offset + runs[i]);
+    offset += runs[i];
+  }
+  return masks;
+}
+
+/**
+ * @param {object} replay
+ * @returns {string}
+ */
+export function serializeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+/**
+ * Parses and validates replay file contents.
+ * @param {string} text
+ * @returns {object}
+ */
+export function parseReplay(text) {
+  const replay = JSON.parse(text);
+  if (replay?.format !== REPLAY_FORMAT) {
+    throw new Error(`Unsupported replay format: ${replay?.format}`);
+  }
+  if (!Array.isArray(replay.inputs) || !Array.isArray(replay.commands) || !replay.start) {
+    throw new Error('Malformed replay file');
+  }
+  return replay;
+}
@@ -0,0 +1,134 @@
+import { GAME_VERSION } from '../constants.js';
+import { decodeInputs, maskToActions } from './replayFormat.js';
+
+/** Ticks between the in-memory snapshots used to seek backwards quickly. */
+const KEYFRAME_INTERVAL = 600;
+
+/**
+ * Drives a simulation from a recorded replay. Playback state (`playing`,
+ * `speed`) is read by the game loop, which calls `step()` once per tick.
+ */
+export class ReplayPlayer {
+  /**
+   * @param {import('../sim/simulation.js').Simulation} sim
+   * @param {object} replay Parsed replay, see `parseReplay()`.
+   */
+  constructor(sim, replay) {
+    this.sim = sim;
+    this.replay = replay;
+    this.masks = decodeInputs(replay.inputs);
+    this.commandsByTick = new Map();
+    for (const [tick, ...command] of replay.commands) {
+      if (!this.commandsByTick.has(tick)) this.commandsByTick.set(tick, []);
+      this.commandsByTick.get(tick).push(command);
+    }
+    this.keyframes = new Map();
+    this.position = 0;
+    this.playing = true;
+    this.speed = 1;
+    this.seeking = false;
+  }
+
+  /** Total recorded ticks. */
+  get length() {
+    return this.masks.length;
+  }
+
+  get finished() {
+    return this.position >= this.length;
+  }
+
+  /** Whether the replay was recorded by a different build of the game. */
+  get versionMismatch() {
+    return this.replay.version !== GAME_VERSION;
+  }
+
+  /**
+   * Whether playback ended somewhere other than where the recording did, which
+   * means the run did not reproduce. `null` until playback reaches the end.
+   */
+  get diverged() {
+    if (!this.finished) return null;
+    const { final } = this.replay;
+    return this.sim.gameState.score !== final.score ||
+      this.sim.gameState.level !== final.level ||
+      this.sim.state.gameState !== final.gameState;
+  }
+
+  /**
+   * Resets the simulation to the state the recording started from. Throws for
+   * recordings made before game modes existed, whose runs no longer reproduce.
+   */
+  start() {
+    const { start } = this.replay;
+    if (start.snapshot) {
+      this.sim.loadSnapshot(start.snapshot);
+    } else if (start.options?.mode) {
+      this.sim.restart(start.options);
+    } else {
+      throw new Error('Replay predates game modes');
+    }
+    this.position = 0;
+    this.keyframes.clear();
+    this.keyframes.set(0, this.sim.toSnapshot());
+  }
+
+  /**
+   * Applies the commands recorded before the current tick and advances the
+   * simulation by one tick with the recorded actions.
+   * @returns {boolean} `false` once the recording is exhausted.
+   */
+  step() {
+    if (this.finished) return false;
+    for (const [type, ...args] of this.commandsByTick.get(this.position) ?? []) {
+      this.#applyCommand(type, args);
+    }
+    this.sim.tick(maskToActions(this.masks[this.position]));
+    this.position += 1;
+    if (this.position % KEYFRAME_INTERVAL === 0 && !this.keyframes.has(this.position)) {
+      this.keyframes.set(this.position, this.sim.toSnapshot());
+    }
+    return true;
+  }
+
+  /**
+   * Jumps to `target` ticks into the recording, restoring the nearest earlier
+   * keyframe and fast-forwarding from there. `seeking` is true meanwhile so
+   * listeners can skip sounds and other per-event feedback.
+   * @param {number} target
+   */
+  seek(target) {
+    const goal = Math.max(0, Math.min(this.length, Math.round(target)));
+    this.seeking = true;
+    try {
+      const from = this.#nearestKeyframe(goal);
+      if (goal < this.position || from > this.position) {
+        this.sim.loadSnapshot(this.keyframes.get(from));
+        this.position = from;
+      }
+      while (this.position < goal) {
+        this.step();
+      }
+    } finally {
+      this.seeking = false;
+    }
+  }
+
+  #nearestKeyframe(goal) {
+    let best = 0;
+    for (const tick of this.keyframes.keys()) {
+      if (tick <= goal && tick > best) best = tick;
+    }
+    return best;
+  }
+
+  #applyCommand(type, args) {
+    switch (type) {
+      case 'newMaze':
+        this.sim.newMaze(...args);
+        break;
+      default:
+        throw new Error(`Unknown replay command: ${type}`);
+    }
+  }
+}
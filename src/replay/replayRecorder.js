@@ -0,0 +1,81 @@
+import { GAME_VERSION } from '../constants.js';
+import { REPLAY_FORMAT, actionsToMask } from './replayFormat.js';
+
+/**
+ * Records the actions held on every simulation tick, plus the few
+ * nondeterministic commands (such as rerolling the maze), so a run can be
+ * reproduced exactly by `ReplayPlayer`.
+ */
+export class ReplayRecorder {
+  constructor() {
+    this.start = null;
+    this.runs = [];
+    this.commands = [];
+    this.ticks = 0;
+    this.recordedAt = 0;
+  }
+
+  /**
+   * Starts a new recording from the simulation's current state. A run still
+   * on its first tick is stored as launch options; anything later (such as a
+   * resumed save) is stored as a full snapshot.
+   * @param {import('../sim/simulation.js').Simulation} sim
+   */
+  begin(sim) {
+    this.start = sim.state.tick === 0
+      ? { options: { ...sim.options, seed: sim.state.seed } }
+      : { snapshot: sim.toSnapshot() };
+    this.runs = [];
+    this.commands = [];
+    this.ticks = 0;
+    this.recordedAt = Date.now();
+  }
+
+  /**
+   * Call once per simulation tick, before stepping, with the actions passed in.
+   * @param {Iterable<string>} actions
+   */
+  record(actions) {
+    if (!this.start) return;
+    const mask = actionsToMask(actions);
+    const last = this.runs.length - 2;
+    if (last >= 0 && this.runs[last + 1] === mask) {
+      this.runs[last] += 1;
+    } else {
+      this.runs.push(1, mask);
+    }
+    this.ticks += 1;
+  }
+
+  /**
+   * Records a command applied between ticks, e.g. `command('newMaze', seed)`.
+   * @param {string} type
+   * @param {...unknown} args
+   */
+  command(type, ...args) {
+    if (!this.start) return;
+    this.commands.push([this.ticks, type, ...args]);
+  }
+
+  /**
+   * @param {import('../sim/simulation.js').Simulation} sim
+   * @returns {object} Replay ready for `serializeReplay()`.
+   */
+  toReplay(sim) {
+    return {
+      format: REPLAY_FORMAT,
+      version: GAME_VERSION,
+      recordedAt: this.recordedAt,
+      seed: this.start.options?.seed ?? this.start.snapshot.seed,
+      start: this.start,
+      ticks: this.ticks,
+      inputs: [...this.runs],
+      commands: this.commands.map((command) => [...command]),
+      final: {
+        score: sim.gameState.score,
+        level: sim.gameState.level,
+        gameState: sim.state.gameState,
+      },
+    };
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Gameplay events emitted by `Simulation`. Systems report what happened;
+ * audio, HUD, camera shake, particles and any future reactions (achievements,
+ * analytics, haptics) subscribe instead of being called from gameplay code.
+ *
+ * @typedef {{ x: number, y: number, z: number }} Vec3
+ * @typedef {{ position: Vec3 }} PlayerStepEvent
+ * @typedef {{ position: Vec3 }} BoostEvent
+ * @typedef {{ position: Vec3 }} PhaseDashedEvent
+ * @typedef {{ position: Vec3, radius: number, stunned: number[] }} PulseEmittedEvent
+ * @typedef {{ eid: number, position: Vec3, untilTick: number }} EnemyStunnedEvent
+ * @typedef {{ position: Vec3, speed: number }} WallScrapedEvent
+ * @typedef {{ eid: number, position: Vec3, points: number }} ItemCollectedEvent
+ * @typedef {{ eid: number, type: string, position: Vec3, duration: number }} PowerUpActivatedEvent
+ * @typedef {{ amount: number, health: number, position: Vec3, source: number }} PlayerDamagedEvent
+ * @typedef {{ eid: number, position: Vec3 }} EnemyAlertedEvent
+ * @typedef {{ eid: number, position: Vec3 }} EnemyPhasedEvent
+ * @typedef {{ eid: number, position: Vec3, children: number[] }} EnemySplitEvent
+ * @typedef {{ eid: number, source: number, position: Vec3 }} ProjectileFiredEvent
+ * @typedef {{ eid: number, type: string, position: Vec3, points: number, chain: number }} EnemyDestroyedEvent
+ * @typedef {{ eid: number, position: Vec3 }} EnemyRespawnedEvent
+ * @typedef {{ eid: number, motion: string, position: Vec3 }} MovingWallWarningEvent
+ * @typedef {{ eid: number, motion: string, position: Vec3, opened: { x: number, z: number } | null,
+ *   closed: { x: number, z: number } | null }} MovingWallShiftedEvent
+ * @typedef {{ eid: number, color: string, position: Vec3, held: string[] }} KeyCollectedEvent
+ * @typedef {{ eid: number, color: string, position: Vec3, cell: { x: number, z: number } }} DoorUnlockedEvent
+ * @typedef {{ eid: number, position: Vec3 }} GoalActivatedEvent
+ * @typedef {{ eid: number, kind: string, position: Vec3 }} HazardTriggeredEvent
+ * @typedef {{ eid: number, position: Vec3 }} FloorCollapsedEvent
+ * @typedef {{ eid: number, teleporter: number, twoWay: boolean, from: Vec3, position: Vec3 }} TeleportedEvent
+ * @typedef {{ eid: number, lift: number, from: number, to: number, position: Vec3 }} LiftDepartedEvent
+ * @typedef {{ eid: number, lift: number, floor: number, position: Vec3 }} LiftArrivedEvent
+ * @typedef {{ level: number, score: number, points: number }} LevelCompletedEvent
+ * @typedef {{ score: number, reason: 'victory' | 'destroyed' | 'timeUp' }} RunEndedEvent
+ */
+export const GAME_EVENTS = Object.freeze({
+  /** {@link PlayerStepEvent}, every `MOVE_SOUND_INTERVAL` ticks of movement. */
+  PLAYER_STEP: 'playerStep',
+  /** {@link BoostEvent} */
+  BOOST_STARTED: 'boostStarted',
+  /** {@link BoostEvent} */
+  BOOST_ENDED: 'boostEnded',
+  /** {@link PhaseDashedEvent} */
+  PHASE_DASHED: 'phaseDashed',
+  /** {@link PulseEmittedEvent}, with the ids of the enemies it stunned. */
+  PULSE_EMITTED: 'pulseEmitted',
+  /** {@link EnemyStunnedEvent}, for each enemy an energy pulse stuns. */
+  ENEMY_STUNNED: 'enemyStunned',
+  /** {@link WallScrapedEvent}, each tick the player grinds along a wall. */
+  WALL_SCRAPED: 'wallScraped',
+  /** {@link ItemCollectedEvent} */
+  ITEM_COLLECTED: 'itemCollected',
+  /** {@link PowerUpActivatedEvent} */
+  POWER_UP_ACTIVATED: 'powerUpActivated',
+  /** {@link PlayerDamagedEvent} */
+  PLAYER_DAMAGED: 'playerDamaged',
+  /** {@link EnemyAlertedEvent}, when an enemy starts chasing. */
+  ENEMY_ALERTED: 'enemyAlerted',
+  /** {@link EnemyPhasedEvent}, when a phaser starts passing through a wall. */
+  ENEMY_PHASED: 'enemyPhased',
+  /** {@link EnemySplitEvent}, when a shield bump breaks a splitter in two. */
+  ENEMY_SPLIT: 'enemySplit',
+  /** {@link ProjectileFiredEvent}, when a sentry fires. */
+  PROJECTILE_FIRED: 'projectileFired',
+  /**
+   * {@link EnemyDestroyedEvent}, when a shielded player rams an enemy;
+   * `chain` counts the kills on that shield so far.
+   */
+  ENEMY_DESTROYED: 'enemyDestroyed',
+  /** {@link EnemyRespawnedEvent}, when a destroyed enemy returns at the spawner. */
+  ENEMY_RESPAWNED: 'enemyRespawned',
+  /**
+   * {@link MovingWallWarningEvent}, `MOVING_WALL_WARNING_TICKS` before a
+   * moving wall segment shifts.
+   */
+  MOVING_WALL_WARNING: 'movingWallWarning',
+  /**
+   * {@link MovingWallShiftedEvent}, when a segment moves; `opened` and
+   * `closed` are the maze cells it left and now blocks.
+   */
+  MOVING_WALL_SHIFTED: 'movingWallShifted',
+  /** {@link KeyCollectedEvent}; `held` lists every keycard color now held. */
+  KEY_COLLECTED: 'keyCollected',
+  /** {@link DoorUnlockedEvent}, when the player reaches a door holding its key. */
+  DOOR_UNLOCKED: 'doorUnlocked',
+  /** {@link GoalActivatedEvent}, once the last keycard the goal needs is collected. */
+  GOAL_ACTIVATED: 'goalActivated',
+  /**
+   * {@link TeleportedEvent}, when the player or an enemy crosses a teleporter
+   * pad or portal; `from` is where it left and `position` where it arrived.
+   */
+  TELEPORTED: 'teleported',
+  /**
+   * {@link LiftDepartedEvent}, when the player or an enemy boards a lift;
+   * `from` and `to` are the floors it travels between.
+   */
+  LIFT_DEPARTED: 'liftDeparted',
+  /** {@link LiftArrivedEvent}, when a lift sets its rider down on `floor`. */
+  LIFT_ARRIVED: 'liftArrived',
+  /**
+   * {@link HazardTriggeredEvent}, when a hazard acts on the player: a laser
+   * or shock floor hits them, they enter a slow field, or a crumbling floor
+   * starts to crack under them or they step into its hole.
+   */
+  HAZARD_TRIGGERED: 'hazardTriggered',
+  /** {@link FloorCollapsedEvent}, when a cracking floor gives way. */
+  FLOOR_COLLAPSED: 'floorCollapsed',
+  /** {@link LevelCompletedEvent}, including the final level of a won run. */
+  LEVEL_COMPLETED: 'levelCompleted',
+  /**
+   * {@link RunEndedEvent}, when the player is destroyed or the game mode's
+   * countdown runs out (`reason` `'destroyed'` or `'timeUp'`).
+   */
+  GAME_OVER: 'gameOver',
+  /** {@link RunEndedEvent}, on reaching the game mode's victory level. */
+  GAME_WON: 'gameWon',
+});
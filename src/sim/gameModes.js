@@ -0,0 +1,116 @@
+import { GAME_CONSTANTS } from '../constants.js';
+
+/**
+ * Rules of each selectable game mode, by `Simulation` option `mode`.
+ * - `victoryLevel`: level whose arrival wins the run, `null` to play forever.
+ * - `enemies`: whether levels are populated with enemies at all.
+ * - `timeLimitMs` / `collectibleBonusMs`: a run-wide countdown that ends the
+ *   run when it expires, extended by every collectible picked up.
+ * - `ramp`: extra difficulty from `fromLevel` on, once the per-level tuning
+ *   (maze size, floors, features) has maxed out.
+ * - `scoreMultiplier`: applied to every score award.
+ * - `dailySeed`: runs use the seed of the day from `dailySeed()` and may not
+ *   reroll their maze.
+ *
+ * The rest is presentation: the label and description shown on the mode
+ * screen, the end screen text for each way a run ends (`victory`, `destroyed`,
+ * `timeUp`), and which end screen stats are listed.
+ */
+export const GAME_MODES = Object.freeze({
+  campaign: {
+    label: 'CAMPAIGN',
+    description: `Clear ${GAME_CONSTANTS.VICTORY_LEVEL - 1} levels to conquer the maze.`,
+    victoryLevel: GAME_CONSTANTS.VICTORY_LEVEL,
+    enemies: true,
+    timeLimitMs: null,
+    collectibleBonusMs: 0,
+    ramp: null,
+    scoreMultiplier: 1,
+    dailySeed: false,
+    endings: {
+      victory: { title: 'VICTORY', text: 'You have conquered the Nexus Maze!' },
+      destroyed: { title: 'GAME OVER', text: 'The maze claims another runner.' },
+    },
+    stats: ['score', 'cleared', 'time'],
+  },
+  timeAttack: {
+    label: 'TIME ATTACK',
+    description: 'One clock for the whole run. Every collectible buys a few more seconds.',
+    victoryLevel: GAME_CONSTANTS.VICTORY_LEVEL,
+    enemies: true,
+    timeLimitMs: 180000,
+    collectibleBonusMs: 2000,
+    ramp: null,
+    scoreMultiplier: 1,
+    dailySeed: false,
+    endings: {
+      victory: { title: 'VICTORY', text: 'You beat the clock!' },
+      destroyed: { title: 'GAME OVER', text: 'Destroyed with time still on the clock.' },
+      timeUp: { title: 'TIME UP', text: 'The clock ran out.' },
+    },
+    stats: ['score', 'cleared', 'timeLeft', 'collected'],
+  },
+  endless: {
+    label: 'ENDLESS',
+    description: 'No final level. Enemies keep getting faster and, up to a limit, more numerous.',
+    victoryLevel: null,
+    enemies: true,
+    timeLimitMs: null,
+    collectibleBonusMs: 0,
+    ramp: {
+      fromLevel: GAME_CONSTANTS.VICTORY_LEVEL,
+      enemySpeedPerLevel: 0.04,
+      maxEnemySpeedScale: 1.6,
+    },
+    scoreMultiplier: 1,
+    dailySeed: false,
+    endings: {
+      destroyed: { title: 'RUN OVER', text: 'Everyone falls in the end.' },
+    },
+    stats: ['score', 'cleared', 'time', 'collected'],
+  },
+  zen: {
+    label: 'ZEN',
+    description: 'No enemies, just the maze. Scores count half.',
+    victoryLevel: GAME_CONSTANTS.VICTORY_LEVEL,
+    enemies: false,
+    timeLimitMs: null,
+    collectibleBonusMs: 0,
+    ramp: null,
+    scoreMultiplier: 0.5,
+    dailySeed: false,
+    endings: {
+      victory: { title: 'COMPLETE', text: 'Every level walked in peace.' },
+      destroyed: { title: 'GAME OVER', text: 'Even a quiet maze has its dangers.' },
+    },
+    stats: ['cleared', 'time', 'collected', 'score'],
+  },
+  daily: {
+    label: 'DAILY CHALLENGE',
+    description: 'The same mazes for everyone today. Only the first attempt is scored.',
+    victoryLevel: GAME_CONSTANTS.VICTORY_LEVEL,
+    enemies: true,
+    timeLimitMs: null,
+    collectibleBonusMs: 0,
+    ramp: null,
+    scoreMultiplier: 1,
+    dailySeed: true,
+    endings: {
+      victory: { title: 'DAILY CLEARED', text: 'Come back tomorrow for a new maze.' },
+      destroyed: { title: 'GAME OVER', text: 'Come back tomorrow for a new maze.' },
+    },
+    stats: ['daily', 'score', 'cleared', 'time'],
+  },
+});
+
+/** Mode of a run launched without one. */
+export const DEFAULT_GAME_MODE = 'campaign';
+
+/**
+ * The Daily Challenge seed for `date`, the same everywhere on a given UTC day.
+ * @param {Date} [date]
+ * @returns {string} e.g. `daily-2024-05-31`.
+ */
+export function dailySeed(date = new Date()) {
+  return `daily-${date.toISOString().slice(0, 10)}`;
+}
@@ -0,0 +1,2482 @@
+import {
+  COLORS,
+  ENEMY_COLORS,
+  GAME_CONSTANTS,
+  HAZARD_COLORS,
+  HAZARD_LEVELS,
+  HAZARD_PATH_COSTS,
+  KEYCARD_COLORS,
+  MAZE_ALGORITHM_ROTATION,
+  TELEPORTER_COLORS,
+} from '../constants.js';
+import { Emitter } from '../core/emitter.js';
+import { Not, SimpleECS } from '../core/simpleEcs.js';
+import { SeededRandom, createRandomSeed } from '../core/random.js';
+import {
+  floorRow,
+  generateMaze,
+  placeHazards,
+  placeLifts,
+  placeLocks,
+  placeMovingWalls,
+  placeTeleporters,
+  stackFloors,
+} from '../maze/generators.js';
+import { GameStateManager } from '../state/gameStateManager.js';
+import { PathfindingService } from '../ai/pathfinding.js';
+import { PerceptionService } from '../ai/perception.js';
+import { ENEMY_ARCHETYPES, pickEnemyType } from '../ai/enemyArchetypes.js';
+import { SquadBlackboard, squadTacticsFor } from '../ai/squad.js';
+import { avoidObstacles, separation } from '../ai/steering.js';
+import { FiniteStateMachine } from '../fsm/finiteStateMachine.js';
+import { GAME_EVENTS } from './gameEvents.js';
+import { DEFAULT_GAME_MODE, GAME_MODES } from './gameModes.js';
+
+/** Bumped whenever the `toSnapshot()` layout changes incompatibly. */
+export const SNAPSHOT_VERSION = 8;
+
+/**
+ * Headless gameplay simulation: maze, entities, input handling, AI, physics,
+ * pickups, effects and fog of war. It never touches Three.js, Tone.js or the
+ * DOM, so it can be stepped in Node via `tick(inputs, deltaTime)`.
+ *
+ * Presentation layers subscribe to the emitted events:
+ * - `entityCreated` / `entityRemoved` with the entity id,
+ * - `levelCreated` with `{ level, seed, size, floors, algorithm, mode, restored }`,
+ *   where `restored` is true when the level came from `loadSnapshot()`,
+ * - the gameplay events listed in `GAME_EVENTS` (`itemCollected`,
+ *   `playerDamaged`, `levelCompleted`, `gameOver`, ...).
+ */
+export class Simulation extends Emitter {
+  /**
+   * @param {{ seed?: string | null, level?: number, algorithm?: string | null, braid?: number | null,
+   *   mode?: string }} [options] `mode` names an entry of `GAME_MODES`.
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      seed: options.seed ?? null,
+      level: options.level ?? 1,
+      algorithm: options.algorithm ?? null,
+      braid: options.braid ?? null,
+      mode: options.mode ?? DEFAULT_GAME_MODE,
+    };
+    this.ecs = new SimpleECS();
+    this.world = this.ecs.createWorld();
+    this.gameState = new GameStateManager();
+
+    this.state = {
+      playerEid: -1,
+      seed: this.options.seed ?? createRandomSeed(),
+      rng: null,
+      maze: [],
+      visitedCells: [],
+      currentMazeSize: GAME_CONSTANTS.INITIAL_MAZE_SIZE,
+      floors: 1,
+      mazeAlgorithm: MAZE_ALGORITHM_ROTATION[0],
+      time: 0,
+      tick: 0,
+      jumpReady: true,
+      jumpReadyAt: 0,
+      pulseReady: true,
+      pulseReadyAt: 0,
+      moveTimer: 0,
+      isBoosting: false,
+      transitionAt: 0,
+      deadline: null,
+      collected: 0,
+      gameState: 'loading',
+      endReason: null,
+    };
+
+    this.fsmInstances = new Map();
+    this.particlePool = [];
+    this.pathfinding = new PathfindingService();
+    this.perception = new PerceptionService(this.pathfinding);
+    this.perception.listen(this);
+    this.squad = new SquadBlackboard(this.pathfinding);
+
+    this.#defineComponents();
+    this.#defineQueries();
+    this.#registerSystems();
+    this.#registerParticleReactions();
+    this.#initializeParticlePool();
+    this.gameState.level = this.options.level;
+    this.#startClock();
+    this.#createLevel();
+  }
+
+  /** Rules of the run's game mode, see `GAME_MODES`. */
+  get mode() {
+    return GAME_MODES[this.options.mode];
+  }
+
+  /**
+   * Advances the simulation by one fixed step, running the `input`,
+   * `simulate` and `postSimulate` scheduler phases. Per-tick tuning values
+   * assume `deltaTime` equals `GAME_CONSTANTS.FIXED_TIMESTEP`.
+   * @param {Iterable<string>} inputs Logical actions currently held, see `ACTION_BINDINGS`.
+   * @param {number} [deltaTime] Step length in seconds.
+   */
+  tick(inputs, deltaTime = GAME_CONSTANTS.FIXED_TIMESTEP) {
+    const actions = inputs instanceof Set ? inputs : new Set(inputs);
+    this.state.time += deltaTime * 1000;
+    this.state.tick += 1;
+
+    // Run conditions see the game state the tick started in, so a level
+    // finished mid-tick still completes that tick's systems.
+    const context = { actions, deltaTime, gameState: this.state.gameState };
+    this.ecs.runPhase('input', context);
+    this.ecs.runPhase('simulate', context);
+    this.ecs.runPhase('postSimulate', context);
+  }
+
+  /**
+   * Starts a brand new run from the launch level and seed.
+   * @param {object} [options] Launch option overrides, e.g. a recorded run's
+   *   resolved seed when it is replayed.
+   */
+  restart(options = {}) {
+    this.options = { ...this.options, ...options };
+    this.gameState.reset();
+    this.gameState.level = this.options.level;
+    this.state.seed = this.options.seed ?? createRandomSeed();
+    this.state.time = 0;
+    this.state.tick = 0;
+    this.state.moveTimer = 0;
+    this.#startClock();
+    this.#createLevel();
+  }
+
+  /** Resets the run-wide counters and starts the mode's countdown, if any. */
+  #startClock() {
+    const { timeLimitMs } = this.mode;
+    this.state.deadline = timeLimitMs === null ? null : this.state.time + timeLimitMs;
+    this.state.collected = 0;
+    this.state.endReason = null;
+  }
+
+  /**
+   * Rerolls the current level with a fresh seed at a small score penalty.
+   * @param {string} [seed] Seed to roll, passed explicitly when replaying.
+   */
+  newMaze(seed = createRandomSeed()) {
+    this.state.seed = seed;
+    this.#createLevel();
+    this.gameState.score = Math.max(0, this.gameState.score - 50);
+  }
+
+  /**
+   * Serializes the whole run into a plain JSON-safe object. Particles are
+   * cosmetic and are not stored; walls are rebuilt from the maze grid and
+   * only their entity ids are kept.
+   * @returns {object} Snapshot tagged with `SNAPSHOT_VERSION`.
+   */
+  toSnapshot() {
+    const { state } = this;
+    const entities = [];
+    const wallIds = [];
+    for (const eid of this.ecs.entities) {
+      if (this.Particle.has(eid)) continue;
+      if (this.Wall.has(eid)) {
+        wallIds.push(eid);
+        continue;
+      }
+      const components = {};
+      for (const component of this.ecs.componentRegistry.values()) {
+        if (component.has(eid)) {
+          components[component.name] = this.#serializeComponent(component, eid);
+        }
+      }
+      entities.push({ id: eid, components });
+    }
+
+    return {
+      version: SNAPSHOT_VERSION,
+      options: { ...this.options },
+      seed: state.seed,
+      level: this.gameState.level,
+      score: this.gameState.score,
+      health: this.gameState.health,
+      energy: this.gameState.energy,
+      state: {
+        time: state.time,
+        tick: state.tick,
+        playerEid: state.playerEid,
+        currentMazeSize: state.currentMazeSize,
+        floors: state.floors,
+        mazeAlgorithm: state.mazeAlgorithm,
+        jumpReady: state.jumpReady,
+        jumpReadyAt: state.jumpReadyAt,
+        pulseReady: state.pulseReady,
+        pulseReadyAt: state.pulseReadyAt,
+        moveTimer: state.moveTimer,
+        isBoosting: state.isBoosting,
+        transitionAt: state.transitionAt,
+        deadline: state.deadline,
+        collected: state.collected,
+        gameState: state.gameState,
+        endReason: state.endReason,
+      },
+      rng: state.rng.state,
+      maze: state.maze.map((row) => row.join('')),
+      visitedCells: state.visitedCells.map((row) => row.map(Number).join('')),
+      nextEntityId: this.ecs.nextEntityId,
+      wallIds,
+      entities,
+    };
+  }
+
+  /**
+   * Replaces the current run with a snapshot produced by `toSnapshot()`.
+   * Emits `entityRemoved`/`entityCreated` for every entity and `levelCreated`
+   * so presentation layers rebuild themselves.
+   * @param {object} saved
+   */
+  loadSnapshot(saved) {
+    if (saved?.version !== SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported snapshot version: ${saved?.version}`);
+    }
+    const snapshot = structuredClone(saved);
+
+    this.#clearLevel();
+    for (const eid of this.particlePool.splice(0)) {
+      this.Particle.get(eid).active = false;
+    }
+    for (const eid of this.queries.particles(this.world)) {
+      this.particlePool.push(eid);
+    }
+
+    this.options = { ...this.options, ...snapshot.options };
+    this.gameState.level = snapshot.level;
+    this.gameState.score = snapshot.score;
+    this.gameState.health = snapshot.health;
+    this.gameState.energy = snapshot.energy;
+
+    Object.assign(this.state, snapshot.state, {
+      seed: snapshot.seed,
+      rng: new SeededRandom(`${snapshot.seed}:${snapshot.level}`),
+      maze: snapshot.maze.map((row) => [...row].map(Number)),
+      visitedCells: snapshot.visitedCells.map((row) => [...row].map((cell) => cell === '1')),
+    });
+    this.state.rng.state = snapshot.rng;
+    this.pathfinding.setGrid(this.state.maze);
+    this.perception.clearNoises();
+    this.squad.clear();
+
+    const aiStates = new Map();
+    for (const { id, components } of snapshot.entities) {
+      this.ecs.addEntity(this.world, id);
+      for (const [name, data] of Object.entries(components)) {
+        const component = this.ecs.componentRegistry.get(name);
+        if (!component) continue;
+        if (component === this.AI) {
+          const { state, ...ai } = data;
+          aiStates.set(id, state);
+          this.ecs.addComponent(this.world, component, id, ai);
+        } else if (component === this.EffectTimer) {
+          this.ecs.addComponent(this.world, component, id, {
+            ...data,
+            component: this.ecs.componentRegistry.get(data.component),
+          });
+        } else {
+          this.ecs.addComponent(this.world, component, id, data);
+        }
+      }
+    }
+
+    for (const [eid, state] of aiStates) {
+      const fsm = new FiniteStateMachine(this, eid, state);
+      this.AI.get(eid).fsm = fsm;
+      this.fsmInstances.set(eid, fsm);
+    }
+
+    this.#linkCells();
+    this.#weighHazards();
+
+    for (const { id } of snapshot.entities) {
+      this.emit('entityCreated', id);
+    }
+    this.#createWalls(this.state.currentMazeSize, snapshot.wallIds);
+    this.ecs.nextEntityId = snapshot.nextEntityId;
+
+    this.emit('levelCreated', {
+      level: this.gameState.level,
+      seed: this.state.seed,
+      size: this.state.currentMazeSize,
+      floors: this.state.floors,
+      algorithm: this.state.mazeAlgorithm,
+      mode: this.options.mode,
+      restored: true,
+    });
+  }
+
+  /** Component definitions for the ECS. */
+  #defineComponents() {
+    this.Position = this.ecs.defineComponent('Position');
+    this.PreviousPosition = this.ecs.defineComponent('PreviousPosition');
+    this.Velocity = this.ecs.defineComponent('Velocity');
+    this.Renderable = this.ecs.defineComponent('Renderable');
+    this.Player = this.ecs.defineComponent('Player');
+    this.Wall = this.ecs.defineComponent('Wall');
+    this.Collectible = this.ecs.defineComponent('Collectible');
+    this.Goal = this.ecs.defineComponent('Goal');
+    this.Particle = this.ecs.defineComponent('Particle');
+    this.Trail = this.ecs.defineComponent('Trail');
+    this.Animation = this.ecs.defineComponent('Animation');
+    this.Enemy = this.ecs.defineComponent('Enemy');
+    this.PowerUp = this.ecs.defineComponent('PowerUp');
+    this.MovingWall = this.ecs.defineComponent('MovingWall');
+    this.Keycard = this.ecs.defineComponent('Keycard');
+    this.Door = this.ecs.defineComponent('Door');
+    this.Keyring = this.ecs.defineComponent('Keyring');
+    this.Teleporter = this.ecs.defineComponent('Teleporter');
+    this.Teleported = this.ecs.defineComponent('Teleported');
+    this.Lift = this.ecs.defineComponent('Lift');
+    this.Riding = this.ecs.defineComponent('Riding');
+    this.Hazard = this.ecs.defineComponent('Hazard');
+    this.LaserGate = this.ecs.defineComponent('LaserGate');
+    this.ShockFloor = this.ecs.defineComponent('ShockFloor');
+    this.SlowField = this.ecs.defineComponent('SlowField');
+    this.CrumblingFloor = this.ecs.defineComponent('CrumblingFloor');
+    this.Health = this.ecs.defineComponent('Health');
+    this.AI = this.ecs.defineComponent('AI');
+    this.Perception = this.ecs.defineComponent('Perception');
+    this.Projectile = this.ecs.defineComponent('Projectile');
+    this.Spawner = this.ecs.defineComponent('Spawner');
+    this.Effect = this.ecs.defineComponent('Effect');
+    this.Timer = this.ecs.defineComponent('Timer');
+    this.EffectTimer = this.ecs.defineComponent('EffectTimer');
+    this.SpeedBoost = this.ecs.defineComponent('SpeedBoost');
+    this.InvulnerabilityShield = this.ecs.defineComponent('InvulnerabilityShield');
+    this.ScoreMultiplierEffect = this.ecs.defineComponent('ScoreMultiplierEffect');
+  }
+
+  /** Frequently used ECS queries. */
+  #defineQueries() {
+    this.queries = {
+      player: this.ecs.defineQuery([this.Player, this.Position, this.Velocity]),
+      moving: this.ecs.defineQuery([
+        this.Position,
+        this.Velocity,
+        Not(this.Particle, this.Projectile),
+      ]),
+      interpolated: this.ecs.defineQuery([this.Position, this.PreviousPosition]),
+      collectibles: this.ecs.defineQuery([this.Collectible, this.Position]),
+      goals: this.ecs.defineQuery([this.Goal, this.Position]),
+      enemies: this.ecs.defineQuery([this.Enemy, this.Position, this.Velocity]),
+      powerUps: this.ecs.defineQuery([this.PowerUp, this.Position]),
+      spawners: this.ecs.defineQuery([this.Spawner, this.Position]),
+      movingWalls: this.ecs.defineQuery([this.MovingWall, this.Position]),
+      keycards: this.ecs.defineQuery([this.Keycard, this.Position]),
+      doors: this.ecs.defineQuery([this.Door, this.Position]),
+      teleporters: this.ecs.defineQuery([this.Teleporter, this.Position]),
+      lifts: this.ecs.defineQuery([this.Lift, this.Position]),
+      riders: this.ecs.defineQuery([this.Riding, this.Position, this.Velocity]),
+      hazards: this.ecs.defineQuery([this.Hazard, this.Position]),
+      slowFields: this.ecs.defineQuery([this.SlowField, this.Hazard]),
+      particles: this.ecs.defineQuery([this.Particle, this.Position, this.Velocity]),
+      projectiles: this.ecs.defineQuery([this.Projectile, this.Position, this.Velocity]),
+      timers: this.ecs.defineQuery([this.EffectTimer]),
+      enemyAI: this.ecs.defineQuery([this.AI]),
+      perceivers: this.ecs.defineQuery([this.Perception, this.Position, this.Velocity]),
+      trails: this.ecs.defineQuery([this.Trail, this.Renderable]),
+      animated: this.ecs.defineQuery([this.Position, this.Animation, this.Renderable]),
+      dynamicRendered: this.ecs.defineQuery([this.Position, this.Renderable, Not(this.Wall)]),
+    };
+
+    this.queries.enemyAI.onExit((eid) => {
+      this.fsmInstances.get(eid)?.cleanup();
+      this.fsmInstances.delete(eid);
+    });
+  }
+
+  /**
+   * Registers the gameplay systems with the ECS scheduler. Other modules can
+   * add their own systems to any phase, ordered against these by name.
+   */
+  #registerSystems() {
+    const playing = ({ gameState }) => gameState === 'playing';
+    const { ecs } = this;
+    ecs.addSystem('snapshot', () => this.#snapshotSystem(), { phase: 'input' });
+    ecs.addSystem('input', ({ actions, deltaTime }) => this.#inputSystem(actions, deltaTime), {
+      phase: 'input',
+      after: ['snapshot'],
+      runIf: playing,
+    });
+    ecs.addSystem('movingWalls', () => this.#movingWallSystem(), {
+      before: ['pathfinding'],
+      runIf: playing,
+    });
+    ecs.addSystem('pathfinding', () => this.#pathfindingSystem(), {
+      before: ['ai'],
+      runIf: playing,
+    });
+    ecs.addSystem('squad', () => this.#squadSystem(), {
+      after: ['pathfinding'],
+      before: ['ai'],
+      runIf: playing,
+    });
+    ecs.addSystem('ai', ({ deltaTime }) => this.#aiSystem(deltaTime), { runIf: playing });
+    ecs.addSystem('steering', () => this.#steeringSystem(), {
+      after: ['ai'],
+      before: ['movement'],
+      runIf: playing,
+    });
+    ecs.addSystem('movement', ({ deltaTime }) => this.#movementSystem(deltaTime), {
+      after: ['ai'],
+      runIf: playing,
+    });
+    ecs.addSystem('projectiles', () => this.#projectileSystem(), {
+      after: ['movement'],
+      before: ['collision'],
+      runIf: playing,
+    });
+    ecs.addSystem('collision', () => this.#collisionSystem(), {
+      after: ['movement'],
+      runIf: playing,
+    });
+    ecs.addSystem('spawner', () => this.#spawnerSystem(), {
+      after: ['collision'],
+      runIf: playing,
+    });
+    ecs.addSystem('teleporters', () => this.#teleporterSystem(), {
+      after: ['collision'],
+      runIf: playing,
+    });
+    ecs.addSystem('lifts', () => this.#liftSystem(), {
+      after: ['collision', 'teleporters'],
+      runIf: playing,
+    });
+    ecs.addSystem('hazards', () => this.#hazardSystem(), {
+      after: ['collision'],
+      runIf: playing,
+    });
+    ecs.addSystem('timeLimit', () => this.#timeLimitSystem(), {
+      after: ['collision', 'hazards'],
+      runIf: playing,
+    });
+    ecs.addSystem('levelTransition', ({ deltaTime }) => this.#levelTransitionSystem(deltaTime), {
+      runIf: ({ gameState }) => gameState === 'transitioning',
+    });
+    ecs.addSystem('perception', () => this.#perceptionSystem(), {
+      phase: 'postSimulate',
+      runIf: playing,
+    });
+    ecs.addSystem('effects', () => this.#effectsSystem(), {
+      phase: 'postSimulate',
+      runIf: playing,
+    });
+    ecs.addSystem('fogOfWar', () => this.#fogOfWarSystem(), {
+      phase: 'postSimulate',
+      after: ['effects'],
+      runIf: playing,
+    });
+    ecs.addSystem('particles', () => this.#particleSystem(), {
+      phase: 'postSimulate',
+      after: ['fogOfWar'],
+    });
+  }
+
+  /** Particle bursts are cosmetic reactions to gameplay events. */
+  #registerParticleReactions() {
+    const burst = (color, count) => ({ position: { x, y, z } }) =>
+      this.#createParticleBurst(x, y, z, color, count);
+    this.on(GAME_EVENTS.PHASE_DASHED, burst(COLORS.primary, 8));
+    this.on(GAME_EVENTS.PULSE_EMITTED, burst(COLORS.primary, 24));
+    this.on(GAME_EVENTS.ENEMY_STUNNED, burst(0xffffff, 6));
+    this.on(GAME_EVENTS.WALL_SCRAPED, burst(COLORS.sparks, 1));
+    this.on(GAME_EVENTS.ITEM_COLLECTED, burst(COLORS.accent, 5));
+    this.on(GAME_EVENTS.POWER_UP_ACTIVATED, burst(0xffffff, 12));
+    this.on(GAME_EVENTS.PLAYER_DAMAGED, burst(0xff0000, 8));
+    this.on(GAME_EVENTS.ENEMY_PHASED, burst(COLORS.accent, 10));
+    this.on(GAME_EVENTS.ENEMY_SPLIT, burst(ENEMY_COLORS.splitter, 12));
+    this.on(GAME_EVENTS.ENEMY_DESTROYED, burst(COLORS.primary, 16));
+    this.on(GAME_EVENTS.ENEMY_RESPAWNED, burst(COLORS.accent, 10));
+    this.on(GAME_EVENTS.MOVING_WALL_SHIFTED, burst(COLORS.sparks, 6));
+    this.on(GAME_EVENTS.KEY_COLLECTED, ({ color, position: { x, y, z } }) =>
+      this.#createParticleBurst(x, y, z, KEYCARD_COLORS[color], 10));
+    this.on(GAME_EVENTS.DOOR_UNLOCKED, ({ color, position: { x, y, z } }) =>
+      this.#createParticleBurst(x, y, z, KEYCARD_COLORS[color], 16));
+    this.on(GAME_EVENTS.GOAL_ACTIVATED, burst(COLORS.success, 20));
+    this.on(GAME_EVENTS.TELEPORTED, ({ twoWay, from, position }) => {
+      const color = twoWay ? TELEPORTER_COLORS.pad : TELEPORTER_COLORS.portal;
+      this.#createParticleBurst(from.x, from.y, from.z, color, 10);
+      this.#createParticleBurst(position.x, position.y, position.z, color, 10);
+    });
+    this.on(GAME_EVENTS.HAZARD_TRIGGERED, ({ kind, position: { x, y, z } }) =>
+      this.#createParticleBurst(x, y, z, HAZARD_COLORS[kind], 8));
+    this.on(GAME_EVENTS.FLOOR_COLLAPSED, burst(HAZARD_COLORS.crumble, 14));
+    this.on(GAME_EVENTS.LIFT_DEPARTED, burst(COLORS.lift, 8));
+    this.on(GAME_EVENTS.LIFT_ARRIVED, burst(COLORS.lift, 8));
+  }
+
+  #initializeParticlePool() {
+    for (let i = 0; i < GAME_CONSTANTS.PARTICLE_POOL_SIZE; i += 1) {
+      const eid = this.ecs.addEntity(this.world);
+      this.ecs.addComponent(this.world, this.Particle, eid, {
+        active: false,
+        life: 0,
+        maxLife: 60,
+        color: 0xffffff,
+      });
+      this.ecs.addComponent(this.world, this.Position, eid, { x: 0, y: 0, z: 0 });
+      this.ecs.addComponent(this.world, this.PreviousPosition, eid, { x: 0, y: 0, z: 0 });
+      this.ecs.addComponent(this.world, this.Velocity, eid, { x: 0, y: 0, z: 0 });
+      this.ecs.addComponent(this.world, this.Renderable, eid, { kind: 'particle' });
+      this.particlePool.push(eid);
+    }
+  }
+
+  /** Destroys every level entity, keeping only the particle pool. */
+  #clearLevel() {
+    for (const eid of [...this.ecs.entities]) {
+      if (this.ecs.hasComponent(this.world, this.Particle, eid)) continue;
+      this.#destroyEntity(eid);
+    }
+  }
+
+  #createLevel() {
+    this.#clearLevel();
+
+    const mazeSize = Math.min(
+      GAME_CONSTANTS.INITIAL_MAZE_SIZE + Math.floor(this.gameState.level / 2) * 4,
+      71,
+    );
+    this.state.currentMazeSize = mazeSize;
+    this.state.rng = new SeededRandom(`${this.state.seed}:${this.gameState.level}`);
+    this.state.mazeAlgorithm = this.options.algorithm ??
+      MAZE_ALGORITHM_ROTATION[(this.gameState.level - 1) % MAZE_ALGORITHM_ROTATION.length];
+    const { level } = this.gameState;
+    const floors = level < GAME_CONSTANTS.MULTI_FLOOR_MIN_LEVEL
+      ? 1
+      : Math.min(
+        GAME_CONSTANTS.MAX_FLOORS,
+        Math.floor((level - GAME_CONSTANTS.MULTI_FLOOR_MIN_LEVEL) / GAME_CONSTANTS.LEVELS_PER_FLOOR) + 2,
+      );
+    this.state.floors = floors;
+    // The ground floor keeps the single-floor stream so its layout does not
+    // depend on how many floors sit above it.
+    this.state.maze = stackFloors(Array.from({ length: floors }, (_, floor) =>
+      generateMaze(mazeSize, mazeSize, this.state.rng.fork(floor === 0 ? 'maze' : `maze${floor}`), {
+        algorithm: this.state.mazeAlgorithm,
+        braid: this.options.braid ?? GAME_CONSTANTS.MAZE_BRAID_FACTOR,
+      })));
+    const wallRng = this.state.rng.fork('movingWalls');
+    // The corners `#populateMaze()` puts the player and the goal in: the
+    // first on the ground floor, the other on the top one.
+    const start = { x: 1, z: 1 };
+    const goal = { x: mazeSize - 2, z: floorRow(mazeSize, floors - 1) + mazeSize - 2 };
+    const lifts = placeLifts(this.state.maze, this.state.rng.fork('lifts'), {
+      count: GAME_CONSTANTS.LIFTS_PER_FLOOR,
+      start,
+      goal,
+      clearance: GAME_CONSTANTS.LIFT_CLEARANCE,
+    });
+    const movingWalls = placeMovingWalls(this.state.maze, wallRng, {
+      count: level < GAME_CONSTANTS.MOVING_WALL_MIN_LEVEL
+        ? 0
+        : Math.min(GAME_CONSTANTS.MOVING_WALL_MAX, level - GAME_CONSTANTS.MOVING_WALL_MIN_LEVEL + 1),
+      start,
+      goal,
+      lifts,
+      clearance: GAME_CONSTANTS.MOVING_WALL_CLEARANCE,
+    });
+    const keyColors = Object.keys(KEYCARD_COLORS);
+    const locks = placeLocks(this.state.maze, this.state.rng.fork('locks'), {
+      count: level < GAME_CONSTANTS.KEYCARD_MIN_LEVEL
+        ? 0
+        : Math.min(
+          keyColors.length,
+          Math.floor((level - GAME_CONSTANTS.KEYCARD_MIN_LEVEL) / GAME_CONSTANTS.KEYCARD_LEVELS_PER_DOOR) + 1,
+        ),
+      start,
+      goal,
+      movingWalls,
+      lifts,
+      clearance: GAME_CONSTANTS.MOVING_WALL_CLEARANCE,
+    });
+    const teleporters = placeTeleporters(this.state.maze, this.state.rng.fork('teleporters'), {
+      pairs: level < GAME_CONSTANTS.TELEPORTER_MIN_LEVEL
+        ? 0
+        : Math.min(GAME_CONSTANTS.TELEPORTER_PAIRS_MAX, level - GAME_CONSTANTS.TELEPORTER_MIN_LEVEL + 1),
+      portals: level < GAME_CONSTANTS.PORTAL_MIN_LEVEL
+        ? 0
+        : Math.min(GAME_CONSTANTS.PORTAL_MAX, level - GAME_CONSTANTS.PORTAL_MIN_LEVEL + 1),
+      start,
+      goal,
+      movingWalls,
+      locks,
+      lifts,
+      separation: GAME_CONSTANTS.TELEPORTER_SEPARATION,
+      clearance: GAME_CONSTANTS.MOVING_WALL_CLEARANCE,
+    });
+    const rooms = floors * ((mazeSize - 1) / 2) ** 2;
+    const hazards = placeHazards(this.state.maze, this.state.rng.fork('hazards'), {
+      count: Math.floor(rooms * Math.min(
+        GAME_CONSTANTS.HAZARD_MAX_DENSITY,
+        GAME_CONSTANTS.HAZARD_DENSITY_PER_LEVEL * level,
+      )),
+      kinds: Object.keys(HAZARD_LEVELS).filter((kind) => level >= HAZARD_LEVELS[kind]),
+      start,
+      goal,
+      avoid: [
+        ...movingWalls.flatMap(({ cells }) => cells.filter(Boolean)),
+        ...locks.flatMap(({ door, key }) => [door, key]),
+        ...teleporters.flatMap(({ from, to }) => [from, to]),
+        ...lifts.flatMap(({ from, to }) => [from, to]),
+      ],
+      clearance: GAME_CONSTANTS.HAZARD_CLEARANCE,
+    });
+    this.state.visitedCells = Array.from({ length: this.state.maze.length }, () =>
+      Array(mazeSize).fill(false),
+    );
+    this.pathfinding.setGrid(this.state.maze);
+    this.perception.clearNoises();
+    this.squad.clear();
+
+    for (const segment of movingWalls) {
+      this.#createMovingWall(segment, wallRng);
+    }
+    locks.forEach(({ door, key }, i) => {
+      this.#createDoor(door, keyColors[i]);
+      this.#createKeycard(key, keyColors[i]);
+    });
+    for (const link of teleporters) {
+      this.#createTeleporter(link.from, link.to, link.twoWay);
+      this.#createTeleporter(link.to, link.twoWay ? link.from : null, link.twoWay);
+    }
+    for (const { from, to } of lifts) {
+      this.#createLift(from, to);
+    }
+    this.#linkCells();
+    const hazardRng = this.state.rng.fork('hazardTiming');
+    for (const hazard of hazards) {
+      this.#createHazard(hazard, hazardRng);
+    }
+    this.#weighHazards();
+    this.#populateMaze(start, goal, this.state.rng.fork('populate'), keyColors.slice(0, locks.length));
+    this.state.jumpReady = true;
+    this.state.jumpReadyAt = 0;
+    this.state.pulseReady = true;
+    this.state.pulseReadyAt = 0;
+    this.state.isBoosting = false;
+    this.state.gameState = 'playing';
+    this.emit('levelCreated', {
+      level: this.gameState.level,
+      seed: this.state.seed,
+      size: mazeSize,
+      floors,
+      algorithm: this.state.mazeAlgorithm,
+      mode: this.options.mode,
+      restored: false,
+    });
+  }
+
+  /**
+   * Places the player, static walls, goal, spawner, enemies, power-ups and
+   * collectibles. Moving walls, doors, keycards, teleporters, lifts and
+   * hazards already exist.
+   * @param {{ x: number, z: number }} start Cell the player starts in.
+   * @param {{ x: number, z: number }} goal Cell of the level goal.
+   * @param {SeededRandom} rng
+   * @param {string[]} keys Keycard colors the goal needs before it activates.
+   */
+  #populateMaze(start, goal, rng, keys) {
+    const size = this.state.currentMazeSize;
+
+    // Nothing is placed in a doorway a moving wall may close, a door, or on a
+    // keycard, teleporter or lift.
+    const reservedCells = this.#reservedCells();
+    const openCells = [];
+    for (let z = 1; z < this.state.maze.length - 1; z += 1) {
+      for (let x = 1; x < size - 1; x += 1) {
+        if (this.state.maze[z][x] === 0 && !reservedCells.has(z * size + x)) {
+          openCells.push({ x, z });
+        }
+      }
+    }
+
+    const popCell = () => {
+      if (openCells.length === 0) return null;
+      const index = rng.int(openCells.length);
+      return openCells.splice(index, 1)[0];
+    };
+
+    const startAt = this.gridToWorld(start.x, start.z);
+    this.state.playerEid = this.#createPlayer(
+      startAt.x,
+      startAt.y + GAME_CONSTANTS.PLAYER_STARTING_Y,
+      startAt.z,
+    );
+    this.#createTrail();
+    this.#createWalls(size);
+    this.#createGoal(this.gridToWorld(goal.x, goal.z), keys);
+
+    // Destroyed enemies come back from the open cell of the ground floor
+    // nearest its centre. Modes without enemies have no spawner.
+    if (this.mode.enemies) {
+      const centre = (size - 1) / 2;
+      let spawnIndex = 0;
+      openCells.forEach(({ x, z }, index) => {
+        const best = openCells[spawnIndex];
+        if (Math.hypot(x - centre, z - centre) < Math.hypot(best.x - centre, best.z - centre)) {
+          spawnIndex = index;
+        }
+      });
+      const [spawnCell] = openCells.splice(spawnIndex, 1);
+      this.#createSpawner(this.gridToWorld(spawnCell.x, spawnCell.z));
+    }
+
+    const enemyCount = this.mode.enemies
+      ? Math.min(GAME_CONSTANTS.ENEMY_MAX_COUNT, Math.floor(this.gameState.level * 1.5 + 2))
+      : 0;
+    const speedScale = this.#enemySpeedScale();
+    for (let i = 0; i < enemyCount; i += 1) {
+      const cell = popCell();
+      if (!cell || (Math.abs(cell.x - start.x) < 5 && Math.abs(cell.z - start.z) < 5)) continue;
+      const { x, y, z } = this.gridToWorld(cell.x, cell.z);
+      const type = pickEnemyType(this.gameState.level, rng);
+      this.#createEnemy(x, y + 1, z, type, { speed: ENEMY_ARCHETYPES[type].speed * speedScale });
+    }
+
+    const powerUpCount = Math.floor(this.gameState.level * 0.8 + 1);
+    const powerTypes = ['speed', 'energy', 'shield', 'multiplier'];
+    for (let i = 0; i < powerUpCount; i += 1) {
+      const cell = popCell();
+      if (!cell) continue;
+      const type = rng.pick(powerTypes);
+      const { x, y, z } = this.gridToWorld(cell.x, cell.z);
+      this.#createPowerUp(x, y + GAME_CONSTANTS.POWERUP_SPAWN_Y, z, type);
+    }
+
+    const collectibleCount = Math.floor(size * 1.2);
+    for (let i = 0; i < collectibleCount; i += 1) {
+      const cell = popCell();
+      if (!cell) continue;
+      const { x, y, z } = this.gridToWorld(cell.x, cell.z);
+      this.#createCollectible(x, y + 1, z, i);
+    }
+  }
+
+  /** Enemy speed multiplier from the mode's difficulty ramp at the current level. */
+  #enemySpeedScale() {
+    const { ramp } = this.mode;
+    if (!ramp) return 1;
+    const levels = Math.max(0, this.gameState.level - ramp.fromLevel);
+    return Math.min(ramp.maxEnemySpeedScale, 1 + levels * ramp.enemySpeedPerLevel);
+  }
+
+  #createPlayer(x, y, z) {
+    const eid = this.ecs.addEntity(this.world);
+    this.ecs.addComponent(this.world, this.Player, eid);
+    this.ecs.addComponent(this.world, this.Position, eid, { x, y, z });
+    this.ecs.addComponent(this.world, this.PreviousPosition, eid, { x, y, z });
+    this.ecs.addComponent(this.world, this.Velocity, eid, { x: 0, y: 0, z: 0 });
+    this.ecs.addComponent(this.world, this.Keyring, eid, { held: [] });
+    this.ecs.addComponent(this.world, this.Renderable, eid, { kind: 'player' });
+    this.emit('entityCreated', eid);
+    return eid;
+  }
+
+  #createTrail() {
+    const eid = this.ecs.addEntity(this.world);
+    this.ecs.addComponent(this.world, this.Trail, eid);
+    this.ecs.addComponent(this.world, this.Renderable, eid, { kind: 'trail' });
+    this.emit('entityCreated', eid);
+  }
+
+  /**
+   * Creates a static wall for every wall cell not owned by a moving wall or
+   * door. The spacer rows between floors are never next to open floor and
+   * get no walls.
+   * @param {number} size
+   * @param {number[]} [ids] Entity ids in grid scan order, when restoring.
+   */
+  #createWalls(size, ids = []) {
+    const reservedCells = this.#reservedCells();
+    let index = 0;
+    for (let z = 0; z < this.state.maze.length; z += 1) {
+      if (z % (size + 1) === size) continue;
+      for (let x = 0; x < size; x += 1) {
+        if (this.state.maze[z][x] === 1 && !reservedCells.has(z * size + x)) {
+          this.#createWall(this.gridToWorld(x, z), ids[index]);
+          index += 1;
+        }
+      }
+    }
+  }
+
+  #createWall({ x, y, z }, id) {
+    const eid = this.ecs.addEntity(this.world, id);
+    this.ecs.addComponent(this.world, this.Wall, eid, { halfSize: GAME_CONSTANTS.CELL_SIZE / 2 });
+    this.ecs.addComponent(this.world, this.Position, eid, {
+      x,
+      y: y + GAME_CONSTANTS.WALL_HEIGHT / 2,
+      z,
+    });
+    this.ecs.addComponent(this.world, this.Renderable, eid, { kind: 'wall' });
+    this.emit('entityCreated', eid);
+  }
+
+  /**
+   * Creates a moving wall segment. `placeMovingWalls()` has already blocked
+   * its first cell in the grid.
+   * @param {{ motion: string, cells: Array<{ x: number, z: number } | null>,
+   *   pivot: { x: number, z: number } | null }} segment
+   * @param {SeededRandom} rng Draws the segment's period and first shift.
+   */
+  #createMovingWall({ motion, cells, pivot }, rng) {
+    const period = GAME_CONSTANTS.MOVING_WALL_PERIOD_TICKS +
+      rng.int(GAME_CONSTANTS.MOVING_WALL_PERIOD_VARIANCE_TICKS + 1);
+    const eid = this.ecs.addEntity(this.world);
+    this.ecs.addComponent(this.world, this.MovingWall, eid, {
+      motion,
+      cells,
+      pivot,
+      phase: 0,
+      period,
+      nextShiftTick: this.state.tick + GAME_CONSTANTS.MOVING_WALL_WARNING_TICKS + rng.int(period),
+      shiftedTick: null,
+      warned: false,
+    });
+    const { x, y, z } = this.gridToWorld(cells[0].x, cells[0].z);
+    this.ecs.addComponent(this.world, this.Position, eid, {
+      x,
+      y: y + GAME_CONSTANTS.WALL_HEIGHT / 2,
+      z,
+    });
+    this.ecs.addComponent(this.world, this.Renderable, eid, { kind: 'movingWall' });
+    this.emit('entityCreated', eid);
+  }
+
+  /**
+   * Creates a locked door blocking `cell`, which `placeLocks()` has already
+   * closed in the grid.
+   * @param {{ x: number, z: number }} cell
+   * @param {string} color `KEYCARD_COLORS` key of the keycard that opens it.
+   */
+  #createDoor(cell, color) {
+    const eid = this.ecs.addEntity(this.world);
+    this.ecs.addComponent(this.world, this.Door, eid, { color, cell, openedTick: null });
+    const { x, y, z } = this.gridToWorld(cell.x, cell.z);
+    this.ecs.addComponent(this.world, this.Position, eid, {
+      x,
+      y: y + GAME_CONSTANTS.WALL_HEIGHT / 2,
+      z,
+    });
+    this.ecs.addComponent(this.world, this.Renderable, eid, { kind: 'door' });
+    this.emit('entityCreated', eid);
+  }
+
+  #createKeycard(cell, color) {
+    const { x, y, z } = this.gridToWorld(cell.x, cell.z);
+    const eid = this.ecs.addEntity(this.world);
+    this.ecs.addComponent(this.world, this.Keycard, eid, { color, cell });
+    this.ecs.addComponent(this.world, this.Position, eid, { x, y: y + 1, z });
+    this.ecs.addComponent(this.world, this.Animation, eid, { speed: 0.01, phase: 0 });
+    this.ecs.addComponent(this.world, this.Renderable, eid, { kind: 'keycard' });
+    this.emit('entityCreated', eid);
+  }
+
+  /**
+   * Creates one end of a teleporter link. A pad or portal entrance sends
+   * whoever steps on it to `target`; a portal exit has none.
+   * @param {{ x: number, z: number }} cell
+   * @param {{ x: number, z: number } | null} target
+   * @param {boolean} twoWay Whether it is a pad, paired with the pad at `target`.
+   */
+  #createTeleporter(cell, target, twoWay) {
+    const { x, y, z } = this.gridToWorld(cell.x, cell.z);
+    const eid = this.ecs.addEntity(this.world);
+    this.ecs.addComponent(this.world, this.Teleporter, eid, { cell, target, twoWay, readyTick: 0 });
+    this.ecs.addComponent(this.world, this.Position, eid, { x, y: y + 0.05, z });
+    this.ecs.addComponent(this.world, this.Animation, eid, { speed: 0.03, phase: 0 });
+    this.ecs.addComponent(this.world, this.Renderable, eid, { kind: 'teleporter' });
+    this.emit('entityCreated', eid);
+  }
+
+  /**
+   * Creates a lift shaft between the same cell on two neighbouring floors,
+   * positioned on the lower one.
+   * @param {{ x: number, z: number }} lower
+   * @param {{ x: number, z: number }} upper
+   */
+  #createLift(lower, upper) {
+    const { x, y, z } = this.gridToWorld(lower.x, lower.z);
+    const eid = this.ecs.addEntity(this.world);
+    this.ecs.addComponent(this.world, this.Lift, eid, { cells: [lower, upper], readyTick: 0 });
+    this.ecs.addComponent(this.world, this.Position, eid, { x, y: y + 0.05, z });
+    this.ecs.addComponent(this.world, this.Renderable, eid, { kind: 'lift' });
+    this.ecs.addComponent(this.world, this.Animation, eid, { speed: 0.02, phase: 0 });
+    this.emit('entityCreated', eid);
+  }
+
+  /**
+   * Hands the teleporters' links and both directions of every lift to
+   * `pathfinding` so enemies path through them.
+   */
+  #linkCells() {
+    const links = [];
+    for (const eid of this.queries.teleporters(this.world)) {
+      const { cell, target } = this.Teleporter.get(eid);
+      if (target) links.push({ from: cell, to: target });
+    }
+    for (const eid of this.queries.lifts(this.world)) {
+      const [lower, upper] = this.Lift.get(eid).cells;
+      links.push({ from: lower, to: upper }, { from: upper, to: lower });
+    }
+    this.pathfinding.setLinks(links);
+  }
+
+  /**
+   * Creates a hazard with its kind's component. Timed hazards start at a
+   * random point of their cycle so neighbouring ones do not pulse in step.
+   * @param {{ kind: string, cell: { x: number, z: number }, axis: 'x' | 'z' | null }} hazard
+   * @param {SeededRandom} rng
+   */
+  #createHazard({ kind, cell, axis }, rng) {
+    const eid = this.ecs.addEntity(this.world);
+    this.ecs.addComponent(this.world, this.Hazard, eid, { kind, cell });
+    switch (kind) {
+      case 'laser':
+        this.ecs.addComponent(this.world, this.LaserGate, eid, {
+          axis,
+          period: GAME_CONSTANTS.LASER_PERIOD_TICKS,
+          onTicks: GAME_CONSTANTS.LASER_ON_TICKS,
+          offset: rng.int(GAME_CONSTANTS.LASER_PERIOD_TICKS),
+          active: false,
+        });
+        break;
+      case 'shock':
+        this.ecs.addComponent(this.world, this.ShockFloor, eid, {
+          period: GAME_CONSTANTS.SHOCK_PERIOD_TICKS,
+          chargedTicks: GAME_CONSTANTS.SHOCK_CHARGED_TICKS,
+          offset: rng.int(GAME_CONSTANTS.SHOCK_PERIOD_TICKS),
+          charged: false,
+        });
+        break;
+      case 'slow':
+        this.ecs.addComponent(this.world, this.SlowField, eid, {
+          scale: GAME_CONSTANTS.SLOW_FIELD_FORCE_SCALE,
+          occupied: false,
+        });
+        break;
+      case 'crumble':
+        this.ecs.addComponent(this.world, this.CrumblingFloor, eid, {
+          state: 'solid',
+          changedTick: 0,
+        });
+        break;
+    }
+    const { x, y, z } = this.gridToWorld(cell.x, cell.z);
+    this.ecs.addComponent(this.world, this.Position, eid, {
+      x,
+      y: y + (kind === 'laser' ? GAME_CONSTANTS.WALL_HEIGHT / 2 : 0.03),
+      z,
+    });
+    this.ecs.addComponent(this.world, this.Renderable, eid, { kind: 'hazard' });
+    this.emit('entityCreated', eid);
+  }
+
+  /** Hands the hazards' path costs to `pathfinding` so enemies detour around them. */
+  #weighHazards() {
+    const cells = [];
+    for (const eid of this.queries.hazards(this.world)) {
+      const { kind, cell } = this.Hazard.get(eid);
+      cells.push({ ...cell, cost: HAZARD_PATH_COSTS[kind] });
+    }
+    this.pathfinding.setCosts(cells);
+  }
+
+  /**
+   * Grid indices (`z * size + x`) of every cell a moving wall can block and
+   * of every door, keycard, teleporter, lift and hazard, which static walls
+   * and pickups keep out of.
+   */
+  #reservedCells() {
+    const size = this.state.currentMazeSize;
+    const cells = new Set();
+    for (const eid of this.queries.movingWalls(this.world)) {
+      for (const cell of this.MovingWall.get(eid).cells) {
+        if (cell) cells.add(cell.z * size + cell.x);
+      }
+    }
+    for (const eid of this.queries.doors(this.world)) {
+      const { cell } = this.Door.get(eid);
+      cells.add(cell.z * size + cell.x);
+    }
+    for (const eid of this.queries.keycards(this.world)) {
+      const { cell } = this.Keycard.get(eid);
+      cells.add(cell.z * size + cell.x);
+    }
+    for (const eid of this.queries.teleporters(this.world)) {
+      const { cell } = this.Teleporter.get(eid);
+      cells.add(cell.z * size + cell.x);
+    }
+    for (const eid of this.queries.lifts(this.world)) {
+      for (const cell of this.Lift.get(eid).cells) cells.add(cell.z * size + cell.x);
+    }
+    for (const eid of this.queries.hazards(this.world)) {
+      const { cell } = this.Hazard.get(eid);
+      cells.add(cell.z * size + cell.x);
+    }
+    return cells;
+  }
+
+  /**
+   * Creates the level goal. It only completes the level once it is active,
+   * which it is from the start unless it needs keycards.
+   * @param {{ x: number, y: number, z: number }} centre Its cell's centre, on the floor.
+   * @param {string[]} [keys] Keycard colors needed to activate it.
+   */
+  #createGoal({ x, y, z }, keys = []) {
+    const eid = this.ecs.addEntity(this.world);
+    this.ecs.addComponent(this.world, this.Goal, eid, { keys, active: keys.length === 0 });
+    this.ecs.addComponent(this.world, this.Position, eid, { x, y: y + 0.15, z });
+    this.ecs.addComponent(this.world, this.Animation, eid, { speed: 0.02, phase: 0 });
+    this.ecs.addComponent(this.world, this.Renderable, eid, { kind: 'goal' });
+    this.emit('entityCreated', eid);
+  }
+
+  #createCollectible(x, y, z, phase) {
+    const eid = this.ecs.addEntity(this.world);
+    this.ecs.addComponent(this.world, this.Collectible, eid);
+    this.ecs.addComponent(this.world, this.Position, eid, { x, y, z });
+    this.ecs.addComponent(this.world, this.Animation, eid, { speed: 0.002, phase });
+    this.ecs.addComponent(this.world, this.Renderable, eid, { kind: 'collectible' });
+    this.emit('entityCreated', eid);
+  }
+
+  /** Creates the level's enemy spawner at a cell centre. */
+  #createSpawner({ x, y, z }) {
+    const eid = this.ecs.addEntity(this.world);
+    this.ecs.addComponent(this.world, this.Spawner, eid, { queue: [] });
+    this.ecs.addComponent(this.world, this.Position, eid, { x, y: y + 0.05, z });
+    this.ecs.addComponent(this.world, this.Animation, eid, { speed: 0.02, phase: 0 });
+    this.ecs.addComponent(this.world, this.Renderable, eid, { kind: 'spawner' });
+    this.emit('entityCreated', eid);
+  }
+
+  #createPowerUp(x, y, z, type) {
+    const eid = this.ecs.addEntity(this.world);
+    this.ecs.addComponent(this.world, this.PowerUp, eid, { type });
+    this.ecs.addComponent(this.world, this.Position, eid, { x, y, z });
+    this.ecs.addComponent(this.world, this.Animation, eid, {
+      speed: 0.01,
+      phase: Math.random() * Math.PI * 2,
+    });
+    this.ecs.addComponent(this.world, this.Renderable, eid, { kind: 'powerUp' });
+    this.emit('entityCreated', eid);
+  }
+
+  /**
+   * @param {string} type Key of `ENEMY_ARCHETYPES`.
+   * @param {object} [overrides] `Enemy` fields replacing the archetype's, e.g.
+   *   for splitter fragments.
+   */
+  #createEnemy(x, y, z, type, overrides = {}) {
+    const eid = this.ecs.addEntity(this.world);
+    this.ecs.addComponent(this.world, this.Enemy, eid, {
+      type,
+      speed: ENEMY_ARCHETYPES[type].speed,
+      scale: 1,
+      canSplit: type === 'splitter',
+      ...overrides,
+    });
+    this.ecs.addComponent(this.world, this.Position, eid, { x, y, z });
+    this.ecs.addComponent(this.world, this.PreviousPosition, eid, { x, y, z });
+    this.ecs.addComponent(this.world, this.Velocity, eid, { x: 0, y: 0, z: 0 });
+    this.ecs.addComponent(this.world, this.Animation, eid, {
+      speed: 0.05,
+      phase: Math.random() * Math.PI * 2,
+    });
+    this.ecs.addComponent(this.world, this.Renderable, eid, { kind: 'enemy' });
+    this.ecs.addComponent(this.world, this.Perception, eid, {
+      facing: 0,
+      seesPlayer: false,
+      heard: null,
+      lastSensedTick: 0,
+      lastKnown: null,
+    });
+    this.ecs.addComponent(this.world, this.AI, eid, {
+      timer: 0,
+      path: null,
+      pathIndex: 0,
+      stateTick: 0,
+      goal: null,
+      goalReached: false,
+      searchPoints: [],
+      squadRole: null,
+      squadTarget: null,
+      phaseTarget: null,
+      phaseReadyTick: 0,
+      fireReadyTick: 0,
+      sweepIndex: 0,
+      stunnedUntil: 0,
+    });
+
+    const fsm = new FiniteStateMachine(this, eid);
+    this.AI.get(eid).fsm = fsm;
+    this.fsmInstances.set(eid, fsm);
+    this.emit('entityCreated', eid);
+    return eid;
+  }
+
+  /**
+   * Launches a slow projectile from an enemy along `angle` (radians,
+   * `atan2(z, x)`). Sentries call this when they have the player in sight.
+   * @param {number} sourceEid
+   * @param {number} angle
+   */
+  fireProjectile(sourceEid, angle) {
+    const origin = this.Position.get(sourceEid);
+    const eid = this.ecs.addEntity(this.world);
+    const speed = GAME_CONSTANTS.PROJECTILE_SPEED;
+    this.ecs.addComponent(this.world, this.Projectile, eid, {
+      source: sourceEid,
+      damage: GAME_CONSTANTS.PROJECTILE_DAMAGE,
+      expiresAt: this.state.tick + GAME_CONSTANTS.PROJECTILE_LIFETIME_TICKS,
+    });
+    this.ecs.addComponent(this.world, this.Position, eid, { ...origin });
+    this.ecs.addComponent(this.world, this.PreviousPosition, eid, { ...origin });
+    this.ecs.addComponent(this.world, this.Velocity, eid, {
+      x: Math.cos(angle) * speed,
+      y: 0,
+      z: Math.sin(angle) * speed,
+    });
+    this.ecs.addComponent(this.world, this.Renderable, eid, { kind: 'projectile' });
+    this.emit('entityCreated', eid);
+    this.emit(GAME_EVENTS.PROJECTILE_FIRED, { eid, source: sourceEid, position: { ...origin } });
+  }
+
+  /**
+   * Breaks a splitter into two smaller, faster fragments that cannot split
+   * again, flung apart sideways from the player.
+   */
+  #splitEnemy(eid, playerPos) {
+    const position = { ...this.Position.get(eid) };
+    const { speed } = this.Enemy.get(eid);
+    this.#destroyEntity(eid);
+
+    const awayX = position.x - playerPos.x;
+    const awayZ = position.z - playerPos.z;
+    const length = Math.hypot(awayX, awayZ) || 1;
+    const children = [-1, 1].map((side) => {
+      const sideX = (-awayZ / length) * side;
+      const sideZ = (awayX / length) * side;
+      const child = this.#createEnemy(
+        position.x + sideX * 0.5,
+        position.y,
+        position.z + sideZ * 0.5,
+        'splitter',
+        {
+          scale: GAME_CONSTANTS.SPLITTER_CHILD_SCALE,
+          speed: speed * GAME_CONSTANTS.SPLITTER_CHILD_SPEED_MULTIPLIER,
+          canSplit: false,
+        },
+      );
+      const velocity = this.Velocity.get(child);
+      velocity.x = sideX * GAME_CONSTANTS.ENEMY_KNOCKBACK_FORCE * 0.5;
+      velocity.z = sideZ * GAME_CONSTANTS.ENEMY_KNOCKBACK_FORCE * 0.5;
+      return child;
+    });
+    this.emit(GAME_EVENTS.ENEMY_SPLIT, { eid, position, children });
+  }
+
+  /**
+   * Destroys an enemy rammed by a shielded player, awarding
+   * `ENEMY_DESTROY_POINTS` doubled for each earlier kill on the same shield,
+   * and queues it to respawn from the level's spawner.
+   */
+  #destroyEnemy(eid, shield) {
+    const position = { ...this.Position.get(eid) };
+    const enemy = { ...this.Enemy.get(eid) };
+    const chain = Math.min(shield.chain, GAME_CONSTANTS.ENEMY_DESTROY_CHAIN_CAP);
+    shield.chain += 1;
+    const points = this.#awardScore(GAME_CONSTANTS.ENEMY_DESTROY_POINTS * 2 ** chain);
+    this.#destroyEntity(eid);
+
+    for (const spawnerEid of this.queries.spawners(this.world)) {
+      this.Spawner.get(spawnerEid).queue.push({
+        enemy,
+        readyTick: this.state.tick + GAME_CONSTANTS.ENEMY_RESPAWN_TICKS,
+      });
+      break;
+    }
+    this.emit(GAME_EVENTS.ENEMY_DESTROYED, {
+      eid,
+      type: enemy.type,
+      position,
+      points,
+      chain: shield.chain,
+    });
+  }
+
+  /**
+   * Adds `points` to the score, scaled by the player's score multiplier
+   * power-up and the game mode.
+   * @returns {number} The points actually awarded.
+   */
+  #awardScore(points) {
+    const playerEid = this.state.playerEid;
+    const powerUp = this.ecs.hasComponent(this.world, this.ScoreMultiplierEffect, playerEid)
+      ? this.ScoreMultiplierEffect.get(playerEid).value
+      : 1;
+    const award = Math.round(points * powerUp * this.mode.scoreMultiplier);
+    this.gameState.addScore(award);
+    return award;
+  }
+
+  /** Copies component data into a JSON-safe form for `toSnapshot()`. */
+  #serializeComponent(component, eid) {
+    const data = component.get(eid);
+    if (component === this.AI) {
+      const { fsm, ...ai } = data;
+      return { ...ai, state: fsm?.toJSON() ?? null };
+    }
+    if (component === this.EffectTimer) {
+      return { ...data, component: data.component.name };
+    }
+    return structuredClone(data);
+  }
+
+  #destroyEntity(eid) {
+    this.emit('entityRemoved', eid);
+    this.ecs.removeEntity(this.world, eid);
+  }
+
+  #worldToGrid(wx, wz, wy = 0) {
+    const size = this.state.currentMazeSize;
+    const cs = GAME_CONSTANTS.CELL_SIZE;
+    return {
+      x: Math.round(wx / cs + size / 2),
+      z: Math.round(wz / cs + size / 2) + floorRow(size, this.floorAt(wy)),
+    };
+  }
+
+  /**
+   * World position of a maze cell's centre, where its wall block would sit,
+   * with `y` at the level of its floor.
+   * @returns {{ x: number, y: number, z: number }}
+   */
+  gridToWorld(gx, gz) {
+    const size = this.state.currentMazeSize;
+    const cs = GAME_CONSTANTS.CELL_SIZE;
+    const floor = this.cellFloor({ x: gx, z: gz });
+    return {
+      x: (gx - size / 2) * cs,
+      y: floor * GAME_CONSTANTS.FLOOR_HEIGHT,
+      z: (gz - floorRow(size, floor) - size / 2) * cs,
+    };
+  }
+
+  /**
+   * Maze cell containing a world position. `wy` picks the floor, so callers
+   * pass the position's height on levels with more than one.
+   */
+  worldToGrid(wx, wz, wy = 0) {
+    return this.#worldToGrid(wx, wz, wy);
+  }
+
+  /** Floor of the level a world height is on, 0 being the ground floor. */
+  floorAt(wy) {
+    const floor = Math.floor(wy / GAME_CONSTANTS.FLOOR_HEIGHT);
+    return Math.min(this.state.floors - 1, Math.max(0, floor));
+  }
+
+  /** Floor of the level a maze cell is on. */
+  cellFloor(cell) {
+    const floor = Math.floor(cell.z / (this.state.currentMazeSize + 1));
+    return Math.min(this.state.floors - 1, Math.max(0, floor));
+  }
+
+  /** Whether two world positions are on the same floor. */
+  #sameFloor(a, b) {
+    return this.floorAt(a.y) === this.floorAt(b.y);
+  }
+
+  /**
+   * Shortest path between two cells, see `PathfindingService.findPath()`.
+   * Cells on different floors are joined through the lifts.
+   * @returns {Array<{ x: number, z: number }> | null}
+   */
+  findPath(start, end) {
+    return this.pathfinding.findPath(start, end);
+  }
+
+  #spawnParticle(x, y, z, color, life, velocity) {
+    if (this.particlePool.length === 0) return;
+    const eid = this.particlePool.pop();
+    const particle = this.Particle.get(eid);
+    particle.active = true;
+    particle.life = life;
+    particle.maxLife = life;
+    particle.color = color;
+
+    const position = this.Position.get(eid);
+    position.x = x;
+    position.y = y;
+    position.z = z;
+    Object.assign(this.PreviousPosition.get(eid), position);
+
+    const vel = this.Velocity.get(eid);
+    vel.x = velocity.x;
+    vel.y = velocity.y;
+    vel.z = velocity.z;
+  }
+
+  #createParticleBurst(x, y, z, color, count) {
+    for (let i = 0; i < count; i += 1) {
+      const velocity = {
+        x: (Math.random() - 0.5) * 3,
+        y: (Math.random() - 0.5) * 3,
+        z: (Math.random() - 0.5) * 3,
+      };
+      const life = GAME_CONSTANTS.PARTICLE_BASE_LIFE +
+        Math.random() * GAME_CONSTANTS.PARTICLE_LIFE_VARIANCE;
+      this.#spawnParticle(x, y, z, color, life, velocity);
+    }
+  }
+
+  /**
+   * Movement is relative to the fixed overhead view: forward is -Z and right
+   * is +X, matching the camera in both camera modes.
+   */
+  #inputSystem(actions, deltaTime) {
+    if (!this.ecs.entityExists(this.world, this.state.playerEid)) return;
+    const velocity = this.Velocity.get(this.state.playerEid);
+    const position = this.Position.get(this.state.playerEid);
+
+    if (!this.state.jumpReady && this.state.time >= this.state.jumpReadyAt) {
+      this.state.jumpReady = true;
+    }
+    if (!this.state.pulseReady && this.state.time >= this.state.pulseReadyAt) {
+      this.state.pulseReady = true;
+    }
+
+    const speedBonus = this.ecs.hasComponent(
+      this.world,
+      this.SpeedBoost,
+      this.state.playerEid,
+    )
+      ? 1.5
+      : 1;
+
+    const boosting = actions.has('BOOST') &&
+      this.gameState.energy >= GAME_CONSTANTS.ENERGY_BOOST_COST;
+
+    const finalMultiplier = (boosting ? GAME_CONSTANTS.BOOST_MULTIPLIER : 1) * speedBonus *
+      this.#slowFieldScale(position);
+    const force = GAME_CONSTANTS.PLAYER_FORCE * finalMultiplier * deltaTime;
+
+    let moveX = 0;
+    let moveZ = 0;
+    if (actions.has('MOVE_FORWARD')) moveZ -= 1;
+    if (actions.has('MOVE_BACK')) moveZ += 1;
+    if (actions.has('MOVE_LEFT')) moveX -= 1;
+    if (actions.has('MOVE_RIGHT')) moveX += 1;
+    const applied = actions.has('MOVE_FORWARD') || actions.has('MOVE_BACK') ||
+      actions.has('MOVE_LEFT') || actions.has('MOVE_RIGHT');
+    velocity.x += moveX * force;
+    velocity.z += moveZ * force;
+
+    if (applied) {
+      this.state.moveTimer += 1;
+      if (this.state.moveTimer % GAME_CONSTANTS.MOVE_SOUND_INTERVAL === 0) {
+        this.emit(GAME_EVENTS.PLAYER_STEP, { position: { ...position } });
+      }
+      if (boosting) {
+        this.gameState.energy -= GAME_CONSTANTS.ENERGY_BOOST_COST;
+        if (!this.state.isBoosting) {
+          this.state.isBoosting = true;
+          this.emit(GAME_EVENTS.BOOST_STARTED, { position: { ...position } });
+        }
+      } else {
+        this.gameState.energy += GAME_CONSTANTS.ENERGY_REGEN_RATE;
+        if (this.state.isBoosting) {
+          this.state.isBoosting = false;
+          this.emit(GAME_EVENTS.BOOST_ENDED, { position: { ...position } });
+        }
+      }
+    } else {
+      this.gameState.energy += GAME_CONSTANTS.ENERGY_REGEN_RATE;
+      if (this.state.isBoosting) {
+        this.state.isBoosting = false;
+        this.emit(GAME_EVENTS.BOOST_ENDED, { position: { ...position } });
+      }
+    }
+
+    if (
+      actions.has('JUMP') &&
+      this.gameState.energy >= GAME_CONSTANTS.JUMP_COST &&
+      this.state.jumpReady
+    ) {
+      this.state.jumpReady = false;
+      this.state.jumpReadyAt = this.state.time + GAME_CONSTANTS.JUMP_COOLDOWN;
+
+      this.gameState.energy -= GAME_CONSTANTS.JUMP_COST;
+      this.emit(GAME_EVENTS.PHASE_DASHED, { position: { ...position } });
+
+      let dashX = velocity.x;
+      let dashZ = velocity.z;
+      if (dashX * dashX + dashZ * dashZ < 0.01) {
+        dashX = 0;
+        dashZ = -1;
+      }
+      const dashLength = Math.hypot(dashX, dashZ);
+      velocity.x += (dashX / dashLength) * GAME_CONSTANTS.JUMP_FORCE;
+      velocity.z += (dashZ / dashLength) * GAME_CONSTANTS.JUMP_FORCE;
+    }
+
+    if (
+      actions.has('PULSE') &&
+      this.gameState.energy >= GAME_CONSTANTS.PULSE_COST &&
+      this.state.pulseReady
+    ) {
+      this.state.pulseReady = false;
+      this.state.pulseReadyAt = this.state.time + GAME_CONSTANTS.PULSE_COOLDOWN;
+      this.gameState.energy -= GAME_CONSTANTS.PULSE_COST;
+      this.#emitPulse(position);
+    }
+  }
+
+  /**
+   * Stuns every enemy on the same floor within `PULSE_RADIUS` of `origin`
+   * that it has a line of sight to for `STUN_DURATION_TICKS`, knocking those
+   * that move away from it. Phasers inside a wall are out of reach.
+   */
+  #emitPulse(origin) {
+    const radius = GAME_CONSTANTS.PULSE_RADIUS;
+    const untilTick = this.state.tick + GAME_CONSTANTS.STUN_DURATION_TICKS;
+    const stunned = [];
+    for (const eid of this.queries.enemyAI(this.world)) {
+      const ai = this.AI.get(eid);
+      if (ai.phaseTarget) continue;
+      const position = this.Position.get(eid);
+      if (!this.#sameFloor(origin, position)) continue;
+      const dx = position.x - origin.x;
+      const dz = position.z - origin.z;
+      const distance = Math.hypot(dx, dz);
+      if (distance > radius || !this.perception.hasLineOfSight(origin, position)) continue;
+
+      ai.stunnedUntil = untilTick;
+      if (this.Enemy.get(eid).speed > 0) {
+        // Closer enemies are thrown harder, straight out from the pulse.
+        const velocity = this.Velocity.get(eid);
+        const force = GAME_CONSTANTS.PULSE_KNOCKBACK_FORCE * (1 - distance / (radius * 2));
+        velocity.x = (dx / (distance || 1)) * force;
+        velocity.z = (dz / (distance || 1)) * force;
+      }
+      stunned.push(eid);
+      this.emit(GAME_EVENTS.ENEMY_STUNNED, { eid, position: { ...position }, untilTick });
+    }
+    this.emit(GAME_EVENTS.PULSE_EMITTED, { position: { ...origin }, radius, stunned });
+  }
+
+  /** Whether an energy pulse has `eid` stunned. */
+  #isStunned(eid) {
+    return this.state.tick < (this.AI.get(eid)?.stunnedUntil ?? 0);
+  }
+
+  /** Remembers where entities were before this tick so renderers can interpolate. */
+  #snapshotSystem() {
+    for (const eid of this.queries.interpolated(this.world)) {
+      const position = this.Position.get(eid);
+      const previous = this.PreviousPosition.get(eid);
+      previous.x = position.x;
+      previous.y = position.y;
+      previous.z = position.z;
+    }
+  }
+
+  #movementSystem(deltaTime) {
+    const friction = Math.pow(GAME_CONSTANTS.FRICTION, deltaTime * 60);
+    for (const eid of this.queries.moving(this.world)) {
+      const velocity = this.Velocity.get(eid);
+      velocity.x *= friction;
+      velocity.z *= friction;
+      this.#integrate(eid, deltaTime);
+    }
+    for (const eid of this.queries.particles(this.world)) {
+      this.Velocity.get(eid).y -= GAME_CONSTANTS.PARTICLE_GRAVITY;
+      this.#integrate(eid, deltaTime);
+    }
+    for (const eid of this.queries.projectiles(this.world)) {
+      this.#integrate(eid, deltaTime);
+    }
+  }
+
+  #integrate(eid, deltaTime) {
+    const position = this.Position.get(eid);
+    const velocity = this.Velocity.get(eid);
+    position.x += velocity.x * deltaTime;
+    position.y += velocity.y * deltaTime;
+    position.z += velocity.z * deltaTime;
+  }
+
+  /**
+   * Applies damage from `source`, knocks the player away from `from`, ends
+   * the run at zero health and otherwise grants post-damage invulnerability.
+   * @returns {{ x: number, z: number }} Unit knockback direction.
+   */
+  #damagePlayer(amount, source, from) {
+    const playerEid = this.state.playerEid;
+    const playerPos = this.Position.get(playerEid);
+    const playerVel = this.Velocity.get(playerEid);
+    this.gameState.health -= amount;
+    this.emit(GAME_EVENTS.PLAYER_DAMAGED, {
+      amount,
+      health: this.gameState.health,
+      position: { ...playerPos },
+      source,
+    });
+
+    const knockX = playerPos.x - from.x;
+    const knockZ = playerPos.z - from.z;
+    const distance = Math.hypot(knockX, knockZ) || 1;
+    const push = { x: knockX / distance, z: knockZ / distance };
+    playerVel.x += push.x * GAME_CONSTANTS.ENEMY_KNOCKBACK_FORCE;
+    playerVel.z += push.z * GAME_CONSTANTS.ENEMY_KNOCKBACK_FORCE;
+
+    if (this.gameState.health <= 0) {
+      this.#loseRun('destroyed');
+      return push;
+    }
+
+    this.ecs.addComponent(this.world, this.InvulnerabilityShield, playerEid, {
+      powerUp: false,
+      chain: 0,
+    });
+    this.#startEffectTimer(playerEid, this.InvulnerabilityShield, GAME_CONSTANTS.POST_DAMAGE_IFRAMES_MS);
+    return push;
+  }
+
+  /**
+   * Removes `component` from `target` after `duration`. A pending timer for the
+   * same effect is replaced, so it cannot cut the new effect short.
+   */
+  #startEffectTimer(target, component, duration) {
+    for (const eid of [...this.queries.timers(this.world)]) {
+      const timer = this.EffectTimer.get(eid);
+      if (timer.target === target && timer.component === component) {
+        this.ecs.removeEntity(this.world, eid);
+      }
+    }
+    const timerEid = this.ecs.addEntity(this.world);
+    this.ecs.addComponent(this.world, this.EffectTimer, timerEid, {
+      target,
+      component,
+      expiration: this.state.time + duration,
+    });
+  }
+
+  /**
+   * Expires projectiles, stops them at walls, and damages an unshielded
+   * player they reach.
+   */
+  #projectileSystem() {
+    const playerEid = this.state.playerEid;
+    const playerPos = this.ecs.entityExists(this.world, playerEid)
+      ? this.Position.get(playerEid)
+      : null;
+    for (const eid of [...this.queries.projectiles(this.world)]) {
+      const projectile = this.Projectile.get(eid);
+      const pos = this.Position.get(eid);
+      const cell = this.#worldToGrid(pos.x, pos.z, pos.y);
+      if (
+        this.state.tick >= projectile.expiresAt ||
+        !this.pathfinding.isWalkable(cell.x, cell.z)
+      ) {
+        this.#destroyEntity(eid);
+        continue;
+      }
+      const hitRadius = GAME_CONSTANTS.PLAYER_RADIUS + GAME_CONSTANTS.PROJECTILE_RADIUS;
+      if (
+        playerPos &&
+        this.#sameFloor(playerPos, pos) &&
+        Math.hypot(playerPos.x - pos.x, playerPos.z - pos.z) < hitRadius
+      ) {
+        if (!this.ecs.hasComponent(this.world, this.InvulnerabilityShield, playerEid)) {
+          this.#damagePlayer(projectile.damage, projectile.source, pos);
+        }
+        this.#destroyEntity(eid);
+      }
+    }
+  }
+
+  /**
+   * Cycles the moving wall segments. Each warns `MOVING_WALL_WARNING_TICKS`
+   * ahead of its shift, then swaps the cell it blocks once nobody stands in
+   * the one it is about to close, keeping the maze grid, pathfinding and
+   * enemy paths in step.
+   */
+  #movingWallSystem() {
+    const { tick } = this.state;
+    for (const eid of this.queries.movingWalls(this.world)) {
+      const wall = this.MovingWall.get(eid);
+      const position = this.Position.get(eid);
+      if (!wall.warned && tick >= wall.nextShiftTick - GAME_CONSTANTS.MOVING_WALL_WARNING_TICKS) {
+        wall.warned = true;
+        this.emit(GAME_EVENTS.MOVING_WALL_WARNING, {
+          eid,
+          motion: wall.motion,
+          position: { ...position },
+        });
+      }
+      if (tick < wall.nextShiftTick) continue;
+      const opened = wall.cells[wall.phase];
+      const closed = wall.cells[1 - wall.phase];
+      // A closing wall holds until its cell is clear rather than crush anyone.
+      if (closed && this.#cellOccupied(closed)) continue;
+
+      if (opened) this.#setCellWall(opened, false);
+      if (closed) {
+        this.#setCellWall(closed, true);
+        this.#rerouteAround(closed);
+        const { x, z } = this.gridToWorld(closed.x, closed.z);
+        position.x = x;
+        position.z = z;
+      }
+      wall.phase = 1 - wall.phase;
+      wall.warned = false;
+      wall.shiftedTick = tick;
+      wall.nextShiftTick = tick + wall.period;
+      this.emit(GAME_EVENTS.MOVING_WALL_SHIFTED, {
+        eid,
+        motion: wall.motion,
+        position: { ...position },
+        opened,
+        closed,
+      });
+    }
+  }
+
+  #setCellWall({ x, z }, wall) {
+    this.state.maze[z][x] = wall ? 1 : 0;
+    this.pathfinding.setWalkable(x, z, !wall);
+  }
+
+  /**
+   * Whether a circle of `radius` at `position` overlaps the square of `cell`,
+   * on that cell's floor.
+   */
+  #overlapsCell(cell, position, radius) {
+    if (this.floorAt(position.y) !== this.cellFloor(cell)) return false;
+    const half = GAME_CONSTANTS.CELL_SIZE / 2;
+    const centre = this.gridToWorld(cell.x, cell.z);
+    return Math.max(Math.abs(position.x - centre.x) - half, 0) ** 2 +
+      Math.max(Math.abs(position.z - centre.z) - half, 0) ** 2 < radius ** 2;
+  }
+
+  /** Whether the player or an enemy overlaps `cell`, or a phaser is headed into it. */
+  #cellOccupied(cell) {
+    const overlaps = (position, radius) => this.#overlapsCell(cell, position, radius);
+
+    const playerEid = this.state.playerEid;
+    if (
+      this.ecs.entityExists(this.world, playerEid) &&
+      overlaps(this.Position.get(playerEid), GAME_CONSTANTS.PLAYER_RADIUS)
+    ) {
+      return true;
+    }
+    for (const eid of this.queries.enemies(this.world)) {
+      const target = this.AI.get(eid)?.phaseTarget;
+      if (target && target.x === cell.x && target.z === cell.z) return true;
+      const radius = GAME_CONSTANTS.ENEMY_RADIUS * this.Enemy.get(eid).scale;
+      if (overlaps(this.Position.get(eid), radius)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Drops enemy paths still leading through a cell that just closed, so their
+   * states plan new ones, and search points inside it.
+   */
+  #rerouteAround(cell) {
+    const blocked = (node) => node.x === cell.x && node.z === cell.z;
+    for (const eid of this.queries.enemyAI(this.world)) {
+      const ai = this.AI.get(eid);
+      if (ai.path && ai.path.slice(ai.pathIndex).some(blocked)) {
+        ai.path = null;
+        ai.pathIndex = 0;
+      }
+      ai.searchPoints = ai.searchPoints.filter((point) => !blocked(point));
+    }
+  }
+
+  /**
+   * Sends the player and enemies (except phasers passing through a wall) that
+   * come within `TELEPORTER_RADIUS` of a charged pad or portal entrance to the
+   * other end, keeping their velocity. The pad, and its partner for a pair,
+   * then recharges for `TELEPORTER_COOLDOWN_TICKS`. The player carries a
+   * `Teleported` marker until they step off the cell they arrived on, so
+   * standing on a pad never bounces them back; enemies only stop on a pad to
+   * cross it, and may have arrived there from the link they want to take.
+   * Lifts set the same marker, which is cleared here too.
+   */
+  #teleporterSystem() {
+    const { tick } = this.state;
+    const size = this.state.currentMazeSize;
+    const entrances = new Map();
+    for (const eid of this.queries.teleporters(this.world)) {
+      const { cell, target } = this.Teleporter.get(eid);
+      if (target) entrances.set(cell.z * size + cell.x, eid);
+    }
+
+    const radius = GAME_CONSTANTS.TELEPORTER_RADIUS;
+    const travellers = [...this.queries.player(this.world), ...this.queries.enemies(this.world)];
+    for (const eid of travellers) {
+      const position = this.Position.get(eid);
+      const arrival = this.Teleported.get(eid);
+      if (arrival) {
+        const centre = this.gridToWorld(arrival.cell.x, arrival.cell.z);
+        if (Math.hypot(position.x - centre.x, position.z - centre.z) >= radius) {
+          this.ecs.removeComponent(this.world, this.Teleported, eid);
+        }
+        continue;
+      }
+      if (this.AI.get(eid)?.phaseTarget || this.Riding.has(eid)) continue;
+
+      const cell = this.#worldToGrid(position.x, position.z, position.y);
+      const teleporterEid = entrances.get(cell.z * size + cell.x);
+      if (teleporterEid === undefined) continue;
+      const teleporter = this.Teleporter.get(teleporterEid);
+      const centre = this.Position.get(teleporterEid);
+      if (
+        teleporter.readyTick > tick ||
+        Math.hypot(position.x - centre.x, position.z - centre.z) >= radius
+      ) {
+        continue;
+      }
+
+      const from = { ...position };
+      const { target } = teleporter;
+      // Keep the traveller's height above the floor when a link changes floors.
+      const landing = this.gridToWorld(target.x, target.z);
+      position.x = landing.x;
+      position.y += landing.y - this.gridToWorld(cell.x, cell.z).y;
+      position.z = landing.z;
+      Object.assign(this.PreviousPosition.get(eid), position);
+      if (eid === this.state.playerEid) {
+        this.ecs.addComponent(this.world, this.Teleported, eid, { cell: { ...target } });
+      }
+      teleporter.readyTick = tick + GAME_CONSTANTS.TELEPORTER_COOLDOWN_TICKS;
+      if (teleporter.twoWay) {
+        const partner = entrances.get(target.z * size + target.x);
+        this.Teleporter.get(partner).readyTick = teleporter.readyTick;
+      }
+      this.#resumePathAfter(eid, target);
+      this.emit(GAME_EVENTS.TELEPORTED, {
+        eid,
+        teleporter: teleporterEid,
+        twoWay: teleporter.twoWay,
+        from,
+        position: { ...position },
+      });
+    }
+  }
+
+  /**
+   * Carries riders up or down a lift over `LIFT_TRAVEL_TICKS`, pinned to the
+   * shaft, then boards the player or an enemy that comes within `LIFT_RADIUS`
+   * of a ready lift end. A lift then rests for `LIFT_COOLDOWN_TICKS` after
+   * arriving. Like a teleport, the player arrives with a `Teleported` marker
+   * so the lift waits for them to step off before taking them back.
+   */
+  #liftSystem() {
+    const { tick } = this.state;
+    const size = this.state.currentMazeSize;
+    for (const eid of [...this.queries.riders(this.world)]) {
+      const riding = this.Riding.get(eid);
+      const position = this.Position.get(eid);
+      const velocity = this.Velocity.get(eid);
+      const t = Math.min(1, (tick - riding.startTick) / GAME_CONSTANTS.LIFT_TRAVEL_TICKS);
+      const centre = this.gridToWorld(riding.to.x, riding.to.z);
+      position.x = centre.x;
+      position.y = riding.fromY + (riding.toY - riding.fromY) * t;
+      position.z = centre.z;
+      velocity.x = 0;
+      velocity.z = 0;
+      if (t < 1) continue;
+
+      this.ecs.removeComponent(this.world, this.Riding, eid);
+      if (eid === this.state.playerEid) {
+        this.ecs.addComponent(this.world, this.Teleported, eid, { cell: { ...riding.to } });
+      }
+      this.#resumePathAfter(eid, riding.to);
+      this.emit(GAME_EVENTS.LIFT_ARRIVED, {
+        eid,
+        lift: riding.lift,
+        floor: this.cellFloor(riding.to),
+        position: { ...position },
+      });
+    }
+
+    const ends = new Map();
+    for (const eid of this.queries.lifts(this.world)) {
+      const [lower, upper] = this.Lift.get(eid).cells;
+      ends.set(lower.z * size + lower.x, { eid, from: lower, to: upper });
+      ends.set(upper.z * size + upper.x, { eid, from: upper, to: lower });
+    }
+    if (ends.size === 0) return;
+
+    const radius = GAME_CONSTANTS.LIFT_RADIUS;
+    const travellers = [...this.queries.player(this.world), ...this.queries.enemies(this.world)];
+    for (const eid of travellers) {
+      if (this.Riding.has(eid) || this.Teleported.has(eid) || this.AI.get(eid)?.phaseTarget) continue;
+      const position = this.Position.get(eid);
+      const cell = this.#worldToGrid(position.x, position.z, position.y);
+      const end = ends.get(cell.z * size + cell.x);
+      if (!end) continue;
+      const lift = this.Lift.get(end.eid);
+      const centre = this.gridToWorld(end.from.x, end.from.z);
+      if (lift.readyTick > tick || Math.hypot(position.x - centre.x, position.z - centre.z) >= radius) {
+        continue;
+      }
+
+      const rise = (this.cellFloor(end.to) - this.cellFloor(end.from)) * GAME_CONSTANTS.FLOOR_HEIGHT;
+      this.ecs.addComponent(this.world, this.Riding, eid, {
+        lift: end.eid,
+        from: { ...end.from },
+        to: { ...end.to },
+        fromY: position.y,
+        toY: position.y + rise,
+        startTick: tick,
+      });
+      lift.readyTick = tick + GAME_CONSTANTS.LIFT_TRAVEL_TICKS + GAME_CONSTANTS.LIFT_COOLDOWN_TICKS;
+      this.emit(GAME_EVENTS.LIFT_DEPARTED, {
+        eid,
+        lift: end.eid,
+        from: this.cellFloor(end.from),
+        to: this.cellFloor(end.to),
+        position: { ...position },
+      });
+    }
+  }
+
+  /** Force scale of the slow field the player stands in, or 1 outside one. */
+  #slowFieldScale(position) {
+    const cell = this.#worldToGrid(position.x, position.z, position.y);
+    for (const eid of this.queries.slowFields(this.world)) {
+      const { cell: fieldCell } = this.Hazard.get(eid);
+      if (fieldCell.x === cell.x && fieldCell.z === cell.z) return this.SlowField.get(eid).scale;
+    }
+    return 1;
+  }
+
+  /**
+   * Runs the hazards' cycles against the player. Laser gates switch on for
+   * `onTicks` of every `period` and hit a player crossing the beam; shock
+   * floors do the same for anyone standing on them while charged. A crumbling
+   * floor cracks once stepped on, collapses `CRUMBLE_DELAY_TICKS` later,
+   * hurts anyone who walks into the hole and is whole again after
+   * `CRUMBLE_RESET_TICKS`. Slow fields only mark whether they are occupied;
+   * `#inputSystem()` scales the player's force while they are. Hits respect
+   * the player's shield and i-frames, and enemies are never affected.
+   */
+  #hazardSystem() {
+    const playerEid = this.state.playerEid;
+    if (!this.ecs.entityExists(this.world, playerEid)) return;
+    const { tick } = this.state;
+    const playerPos = this.Position.get(playerEid);
+    const playerCell = this.#worldToGrid(playerPos.x, playerPos.z, playerPos.y);
+    let exposed = !this.ecs.hasComponent(this.world, this.InvulnerabilityShield, playerEid);
+
+    for (const eid of this.queries.hazards(this.world)) {
+      const { kind, cell } = this.Hazard.get(eid);
+      const position = this.Position.get(eid);
+      const onCell = cell.x === playerCell.x && cell.z === playerCell.z;
+      let damage = 0;
+      switch (kind) {
+        case 'laser': {
+          const gate = this.LaserGate.get(eid);
+          gate.active = (tick + gate.offset) % gate.period < gate.onTicks;
+          if (gate.active && this.#crossesBeam(gate.axis, position, playerPos)) {
+            damage = GAME_CONSTANTS.LASER_DAMAGE;
+          }
+          break;
+        }
+        case 'shock': {
+          const floor = this.ShockFloor.get(eid);
+          floor.charged = (tick + floor.offset) % floor.period < floor.chargedTicks;
+          if (floor.charged && onCell) damage = GAME_CONSTANTS.SHOCK_DAMAGE;
+          break;
+        }
+        case 'slow': {
+          const field = this.SlowField.get(eid);
+          if (onCell && !field.occupied) {
+            this.emit(GAME_EVENTS.HAZARD_TRIGGERED, { eid, kind, position: { ...position } });
+          }
+          field.occupied = onCell;
+          break;
+        }
+        case 'crumble': {
+          const floor = this.CrumblingFloor.get(eid);
+          const elapsed = tick - floor.changedTick;
+          if (floor.state === 'solid' && onCell) {
+            floor.state = 'cracking';
+            floor.changedTick = tick;
+            this.emit(GAME_EVENTS.HAZARD_TRIGGERED, { eid, kind, position: { ...position } });
+          } else if (floor.state === 'cracking' && elapsed >= GAME_CONSTANTS.CRUMBLE_DELAY_TICKS) {
+            floor.state = 'collapsed';
+            floor.changedTick = tick;
+            this.emit(GAME_EVENTS.FLOOR_COLLAPSED, { eid, position: { ...position } });
+          } else if (floor.state === 'collapsed') {
+            if (elapsed >= GAME_CONSTANTS.CRUMBLE_RESET_TICKS) {
+              floor.state = 'solid';
+              floor.changedTick = tick;
+            } else if (onCell) {
+              damage = GAME_CONSTANTS.CRUMBLE_DAMAGE;
+            }
+          }
+          break;
+        }
+      }
+
+      if (damage > 0 && exposed) {
+        exposed = false;
+        this.emit(GAME_EVENTS.HAZARD_TRIGGERED, { eid, kind, position: { ...playerPos } });
+        this.#damagePlayer(damage, eid, position);
+        if (this.state.gameState !== 'playing') return;
+      }
+    }
+  }
+
+  /**
+   * Whether a player at `playerPos` overlaps the beam of a laser gate at
+   * `gatePos`, which spans its doorway across the travel `axis`.
+   */
+  #crossesBeam(axis, gatePos, playerPos) {
+    const across = axis === 'x' ? 'z' : 'x';
+    return this.#sameFloor(gatePos, playerPos) &&
+      Math.abs(playerPos[axis] - gatePos[axis]) < GAME_CONSTANTS.PLAYER_RADIUS &&
+      Math.abs(playerPos[across] - gatePos[across]) < GAME_CONSTANTS.CELL_SIZE / 2;
+  }
+
+  /**
+   * Skips an enemy's path past `cell` after a teleport or lift carried it
+   * there, or drops the path when it never led there.
+   */
+  #resumePathAfter(eid, cell) {
+    const ai = this.AI.get(eid);
+    if (!ai?.path) return;
+    const index = ai.path.findIndex(
+      (node, i) => i >= ai.pathIndex && node.x === cell.x && node.z === cell.z,
+    );
+    if (index < 0) {
+      ai.path = null;
+      ai.pathIndex = 0;
+    } else {
+      ai.pathIndex = index + 1;
+    }
+  }
+
+  /** Brings destroyed enemies back at their spawner once their delay is up. */
+  #spawnerSystem() {
+    for (const eid of this.queries.spawners(this.world)) {
+      const { queue } = this.Spawner.get(eid);
+      const position = this.Position.get(eid);
+      while (queue.length > 0 && queue[0].readyTick <= this.state.tick) {
+        const { enemy } = queue.shift();
+        const { type, ...overrides } = enemy;
+        const floorY = this.floorAt(position.y) * GAME_CONSTANTS.FLOOR_HEIGHT;
+        const spawned = this.#createEnemy(position.x, floorY + 1, position.z, type, overrides);
+        this.emit(GAME_EVENTS.ENEMY_RESPAWNED, {
+          eid: spawned,
+          position: { ...this.Position.get(spawned) },
+        });
+      }
+    }
+  }
+
+  /**
+   * Pushes a circle of `radius` at `position` out of the maze walls around it
+   * and reflects `velocity` off them with `WALL_RESTITUTION`.
+   * @returns {{ x: number, z: number } | null} The last wall point touched.
+   */
+  #collideWithWalls(position, velocity, radius) {
+    const size = this.state.currentMazeSize;
+    const halfCell = GAME_CONSTANTS.CELL_SIZE / 2;
+    const { x: gridX, z: gridZ } = this.#worldToGrid(position.x, position.z, position.y);
+    let contact = null;
+
+    for (let z = Math.max(0, gridZ - 1); z <= Math.min(this.state.maze.length - 1, gridZ + 1); z += 1) {
+      for (let x = Math.max(0, gridX - 1); x <= Math.min(size - 1, gridX + 1); x += 1) {
+        if (!this.state.maze[z] || !this.state.maze[z][x]) continue;
+        const wall = this.gridToWorld(x, z);
+        const closestX = Math.max(wall.x - halfCell, Math.min(position.x, wall.x + halfCell));
+        const closestZ = Math.max(wall.z - halfCell, Math.min(position.z, wall.z + halfCell));
+        const dx = position.x - closestX;
+        const dz = position.z - closestZ;
+        const distanceSq = dx * dx + dz * dz;
+        if (distanceSq >= radius ** 2) continue;
+        const distance = Math.sqrt(distanceSq) || 1;
+        const normX = dx / distance;
+        const normZ = dz / distance;
+        const penetration = radius - distance;
+        position.x += normX * penetration;
+        position.z += normZ * penetration;
+        const dot = velocity.x * normX + velocity.z * normZ;
+        velocity.x -= (1 + GAME_CONSTANTS.WALL_RESTITUTION) * dot * normX;
+        velocity.z -= (1 + GAME_CONSTANTS.WALL_RESTITUTION) * dot * normZ;
+        contact = { x: closestX, z: closestZ };
+      }
+    }
+    return contact;
+  }
+
+  /**
+   * Groups enemies by the maze cell they stand in, so neighbour lookups only
+   * visit the 3x3 cells around an enemy.
+   * @returns {Map<number, number[]>}
+   */
+  #bucketEnemies() {
+    const size = this.state.currentMazeSize;
+    const buckets = new Map();
+    for (const eid of this.queries.enemies(this.world)) {
+      const position = this.Position.get(eid);
+      const { x, z } = this.#worldToGrid(position.x, position.z, position.y);
+      const key = z * size + x;
+      const bucket = buckets.get(key);
+      if (bucket) bucket.push(eid);
+      else buckets.set(key, [eid]);
+    }
+    return buckets;
+  }
+
+  /** Enemies in the cells around `position`, from `#bucketEnemies()`. */
+  *#nearbyEnemies(buckets, position) {
+    const size = this.state.currentMazeSize;
+    const { x, z } = this.#worldToGrid(position.x, position.z, position.y);
+    for (let dz = -1; dz <= 1; dz += 1) {
+      for (let dx = -1; dx <= 1; dx += 1) {
+        const bucket = buckets.get((z + dz) * size + x + dx);
+        if (bucket) yield* bucket;
+      }
+    }
+  }
+
+  /**
+   * Separates overlapping enemies, then keeps every enemy out of the walls
+   * except a phaser passing through one (`ai.phaseTarget`).
+   */
+  #collideEnemies() {
+    const buckets = this.#bucketEnemies();
+    const radius = GAME_CONSTANTS.ENEMY_SEPARATION_RADIUS;
+    for (const eid of this.queries.enemies(this.world)) {
+      const pos1 = this.Position.get(eid);
+      for (const other of this.#nearbyEnemies(buckets, pos1)) {
+        // Each pair is resolved once, by its lower id.
+        if (other <= eid) continue;
+        const pos2 = this.Position.get(other);
+        const dx = pos1.x - pos2.x;
+        const dz = pos1.z - pos2.z;
+        const distSq = dx * dx + dz * dz;
+        if (distSq >= radius * radius || distSq === 0) continue;
+        // Stationary enemies (sentries) hold their ground.
+        const static1 = this.Enemy.get(eid).speed === 0;
+        const static2 = this.Enemy.get(other).speed === 0;
+        if (static1 && static2) continue;
+        const share1 = static1 ? 0 : static2 ? 1 : 0.5;
+        const dist = Math.sqrt(distSq);
+        const overlap = radius - dist;
+        const nx = dx / dist;
+        const nz = dz / dist;
+        pos1.x += nx * overlap * share1;
+        pos1.z += nz * overlap * share1;
+        pos2.x -= nx * overlap * (1 - share1);
+        pos2.z -= nz * overlap * (1 - share1);
+      }
+    }
+
+    for (const eid of this.queries.enemies(this.world)) {
+      if (this.AI.get(eid)?.phaseTarget) continue;
+      const enemy = this.Enemy.get(eid);
+      this.#collideWithWalls(
+        this.Position.get(eid),
+        this.Velocity.get(eid),
+        GAME_CONSTANTS.ENEMY_RADIUS * enemy.scale,
+      );
+    }
+  }
+
+  /**
+   * Layers separation from nearby enemies and wall avoidance on top of the
+   * velocities the FSMs chose, capped at each enemy's chase speed. Sentries,
+   * phasers mid-phase and stunned enemies, still flying from the pulse, keep
+   * theirs.
+   */
+  #steeringSystem() {
+    const buckets = this.#bucketEnemies();
+    const lookahead = GAME_CONSTANTS.ENEMY_AVOID_LOOKAHEAD;
+    for (const eid of this.queries.enemyAI(this.world)) {
+      const enemy = this.Enemy.get(eid);
+      if (enemy.speed === 0 || this.AI.get(eid).phaseTarget || this.#isStunned(eid)) continue;
+      const position = this.Position.get(eid);
+      const velocity = this.Velocity.get(eid);
+      const wallAt = (x, z) => {
+        const cell = this.#worldToGrid(x, z, position.y);
+        return this.pathfinding.isWalkable(cell.x, cell.z) ? null : this.gridToWorld(cell.x, cell.z);
+      };
+      const neighbours = [];
+      for (const other of this.#nearbyEnemies(buckets, position)) {
+        if (other !== eid) neighbours.push(this.Position.get(other));
+      }
+      const push = separation(position, neighbours, GAME_CONSTANTS.ENEMY_SEPARATION_RADIUS);
+      const avoid = avoidObstacles(position, velocity, lookahead, wallAt);
+      velocity.x += push.x * GAME_CONSTANTS.ENEMY_SEPARATION_WEIGHT +
+        avoid.x * GAME_CONSTANTS.ENEMY_AVOID_WEIGHT;
+      velocity.z += push.z * GAME_CONSTANTS.ENEMY_SEPARATION_WEIGHT +
+        avoid.z * GAME_CONSTANTS.ENEMY_AVOID_WEIGHT;
+
+      const maxSpeed = enemy.speed * GAME_CONSTANTS.CHASER_SPEED_MULTIPLIER;
+      const speed = Math.hypot(velocity.x, velocity.z);
+      if (speed > maxSpeed) {
+        velocity.x *= maxSpeed / speed;
+        velocity.z *= maxSpeed / speed;
+      }
+    }
+  }
+
+  #collisionSystem() {
+    const players = this.queries.player(this.world);
+    if (players.size === 0) return;
+    const playerEid = players.values().next().value;
+    const playerPos = this.Position.get(playerEid);
+    const playerVel = this.Velocity.get(playerEid);
+
+    const scrape = this.#collideWithWalls(playerPos, playerVel, GAME_CONSTANTS.PLAYER_RADIUS);
+    if (scrape && Math.hypot(playerVel.x, playerVel.z) > 2) {
+      this.emit(GAME_EVENTS.WALL_SCRAPED, {
+        position: { x: scrape.x, y: playerPos.y, z: scrape.z },
+        speed: Math.hypot(playerVel.x, playerVel.z),
+      });
+    }
+
+    for (const eid of [...this.queries.collectibles(this.world)]) {
+      const pos = this.Position.get(eid);
+      if (
+        this.#sameFloor(playerPos, pos) &&
+        Math.hypot(playerPos.x - pos.x, playerPos.z - pos.z) < GAME_CONSTANTS.COLLECTIBLE_PICKUP_RADIUS
+      ) {
+        const points = this.#awardScore(25 * this.gameState.level);
+        this.gameState.energy += 10;
+        this.state.collected += 1;
+        if (this.state.deadline !== null) {
+          this.state.deadline += this.mode.collectibleBonusMs;
+        }
+        this.emit(GAME_EVENTS.ITEM_COLLECTED, {
+          eid,
+          position: { ...pos },
+          points,
+        });
+        this.#destroyEntity(eid);
+      }
+    }
+
+    for (const eid of [...this.queries.powerUps(this.world)]) {
+      const pos = this.Position.get(eid);
+      if (
+        this.#sameFloor(playerPos, pos) &&
+        Math.hypot(playerPos.x - pos.x, playerPos.z - pos.z) < GAME_CONSTANTS.POWERUP_PICKUP_RADIUS
+      ) {
+        const power = this.PowerUp.get(eid);
+        let duration = 0;
+        let component = null;
+
+        switch (power.type) {
+          case 'speed':
+            duration = GAME_CONSTANTS.SPEED_DURATION_MS;
+            component = this.SpeedBoost;
+            this.ecs.addComponent(this.world, component, playerEid);
+            break;
+          case 'shield':
+            duration = GAME_CONSTANTS.SHIELD_DURATION_MS;
+            component = this.InvulnerabilityShield;
+            this.ecs.addComponent(this.world, component, playerEid, { powerUp: true, chain: 0 });
+            break;
+          case 'multiplier':
+            duration = GAME_CONSTANTS.MULTIPLIER_DURATION_MS;
+            component = this.ScoreMultiplierEffect;
+            this.ecs.addComponent(this.world, component, playerEid, {
+              value: GAME_CONSTANTS.MULTIPLIER_AMOUNT,
+            });
+            break;
+          case 'energy':
+            this.gameState.energy = 100;
+            break;
+          default:
+            break;
+        }
+
+        if (component) this.#startEffectTimer(playerEid, component, duration);
+
+        this.emit(GAME_EVENTS.POWER_UP_ACTIVATED, {
+          eid,
+          type: power.type,
+          position: { ...pos },
+          duration,
+        });
+        this.#destroyEntity(eid);
+      }
+    }
+
+    const keyring = this.Keyring.get(playerEid);
+    for (const eid of [...this.queries.keycards(this.world)]) {
+      const pos = this.Position.get(eid);
+      if (
+        this.#sameFloor(playerPos, pos) &&
+        Math.hypot(playerPos.x - pos.x, playerPos.z - pos.z) < GAME_CONSTANTS.KEYCARD_PICKUP_RADIUS
+      ) {
+        const { color } = this.Keycard.get(eid);
+        keyring.held.push(color);
+        this.emit(GAME_EVENTS.KEY_COLLECTED, {
+          eid,
+          color,
+          position: { ...pos },
+          held: [...keyring.held],
+        });
+        this.#destroyEntity(eid);
+      }
+    }
+
+    // Walking into a locked door with its keycard opens it for good.
+    for (const eid of this.queries.doors(this.world)) {
+      const door = this.Door.get(eid);
+      if (door.openedTick !== null || !keyring.held.includes(door.color)) continue;
+      const reach = GAME_CONSTANTS.PLAYER_RADIUS + GAME_CONSTANTS.DOOR_UNLOCK_RANGE;
+      if (!this.#overlapsCell(door.cell, playerPos, reach)) continue;
+      door.openedTick = this.state.tick;
+      this.#setCellWall(door.cell, false);
+      this.emit(GAME_EVENTS.DOOR_UNLOCKED, {
+        eid,
+        color: door.color,
+        position: { ...this.Position.get(eid) },
+        cell: { ...door.cell },
+      });
+    }
+
+    const shield = this.InvulnerabilityShield.get(playerEid);
+    for (const eid of [...this.queries.enemies(this.world)]) {
+      const pos = this.Position.get(eid);
+      const enemy = this.Enemy.get(eid);
+      const contactRadius = GAME_CONSTANTS.ENEMY_CONTACT_RADIUS * enemy.scale;
+      if (!this.#sameFloor(playerPos, pos)) continue;
+      if (Math.hypot(playerPos.x - pos.x, playerPos.z - pos.z) >= contactRadius) continue;
+      if (!shield) {
+        // A stunned enemy is harmless to bump into.
+        if (this.#isStunned(eid)) continue;
+        const push = this.#damagePlayer(GAME_CONSTANTS.ENEMY_CONTACT_DAMAGE, eid, pos);
+        const enemyVel = this.Velocity.get(eid);
+        enemyVel.x -= push.x * GAME_CONSTANTS.ENEMY_KNOCKBACK_FORCE * 0.5;
+        enemyVel.z -= push.z * GAME_CONSTANTS.ENEMY_KNOCKBACK_FORCE * 0.5;
+        break;
+      }
+      if (!shield.powerUp) continue;
+      if (enemy.canSplit) {
+        this.#splitEnemy(eid, playerPos);
+      } else {
+        this.#destroyEnemy(eid, shield);
+      }
+    }
+
+    this.#collideEnemies();
+
+    const goals = this.queries.goals(this.world);
+    if (goals.size > 0 && this.state.gameState === 'playing') {
+      const goalEid = goals.values().next().value;
+      const goalPos = this.Position.get(goalEid);
+      const goal = this.Goal.get(goalEid);
+      if (!goal.active && goal.keys.every((color) => keyring.held.includes(color))) {
+        goal.active = true;
+        this.emit(GAME_EVENTS.GOAL_ACTIVATED, { eid: goalEid, position: { ...goalPos } });
+      }
+      if (
+        goal.active &&
+        this.#sameFloor(playerPos, goalPos) &&
+        Math.hypot(playerPos.x - goalPos.x, playerPos.z - goalPos.z) < GAME_CONSTANTS.GOAL_ACTIVATION_RADIUS
+      ) {
+        const points = this.#awardScore(200 * this.gameState.level);
+        const completedLevel = this.gameState.level;
+        this.gameState.level += 1;
+        this.gameState.health += GAME_CONSTANTS.LEVEL_UP_HEAL_AMOUNT;
+
+        const { victoryLevel } = this.mode;
+        if (victoryLevel !== null && this.gameState.level >= victoryLevel) {
+          this.state.gameState = 'gameWon';
+          this.state.endReason = 'victory';
+        } else {
+          this.state.gameState = 'transitioning';
+          this.state.transitionAt = this.state.time + 2000;
+        }
+        this.emit(GAME_EVENTS.LEVEL_COMPLETED, {
+          level: completedLevel,
+          score: this.gameState.score,
+          points,
+        });
+        if (this.state.gameState === 'gameWon') {
+          this.emit(GAME_EVENTS.GAME_WON, { score: this.gameState.score, reason: 'victory' });
+        }
+      }
+    }
+  }
+
+  /** Ends a run in defeat; `reason` picks the game mode's ending. */
+  #loseRun(reason) {
+    this.state.gameState = 'gameOver';
+    this.state.endReason = reason;
+    this.emit(GAME_EVENTS.GAME_OVER, { score: this.gameState.score, reason });
+  }
+
+  /** Ends the run once the game mode's countdown runs out. */
+  #timeLimitSystem() {
+    const { deadline } = this.state;
+    if (this.state.gameState === 'playing' && deadline !== null && this.state.time >= deadline) {
+      this.#loseRun('timeUp');
+    }
+  }
+
+  /** Builds the next level once the transition is over; the countdown is paused meanwhile. */
+  #levelTransitionSystem(deltaTime) {
+    if (this.state.deadline !== null) this.state.deadline += deltaTime * 1000;
+    if (this.state.time >= this.state.transitionAt) {
+      this.#createLevel();
+    }
+  }
+
+  #effectsSystem() {
+    const now = this.state.time;
+    for (const eid of [...this.queries.timers(this.world)]) {
+      const timer = this.EffectTimer.get(eid);
+      if (now > timer.expiration) {
+        if (this.ecs.entityExists(this.world, timer.target)) {
+          this.ecs.removeComponent(this.world, timer.component, timer.target);
+        }
+        this.ecs.removeEntity(this.world, eid);
+      }
+    }
+  }
+
+  #particleSystem() {
+    for (const eid of this.queries.particles(this.world)) {
+      const particle = this.Particle.get(eid);
+      if (!particle.active) continue;
+      particle.life -= 1;
+      if (particle.life <= 0) {
+        particle.active = false;
+        this.particlePool.push(eid);
+      }
+    }
+  }
+
+  /** Refills the search budget and points the shared flow field at the player. */
+  #pathfindingSystem() {
+    this.pathfinding.beginTick();
+    if (!this.ecs.entityExists(this.world, this.state.playerEid)) return;
+    const playerPos = this.Position.get(this.state.playerEid);
+    this.pathfinding.updateFlowField(this.#worldToGrid(playerPos.x, playerPos.z, playerPos.y));
+  }
+
+  /**
+   * Updates each enemy's facing from its velocity and what it can see and
+   * hear at the end of the tick, for the FSMs to act on next tick, and
+   * remembers where the player was last seen or heard. Noises are consumed
+   * here, so none carry over between ticks.
+   */
+  #perceptionSystem() {
+    const playerPos = this.ecs.entityExists(this.world, this.state.playerEid)
+      ? this.Position.get(this.state.playerEid)
+      : null;
+    for (const eid of this.queries.perceivers(this.world)) {
+      const perception = this.Perception.get(eid);
+      const position = this.Position.get(eid);
+      const velocity = this.Velocity.get(eid);
+      if (Math.hypot(velocity.x, velocity.z) > 0.01) {
+        perception.facing = Math.atan2(velocity.z, velocity.x);
+      }
+      perception.seesPlayer = playerPos !== null &&
+        this.perception.canSee(position, perception.facing, playerPos);
+      perception.heard = this.perception.hear(position);
+      if (perception.seesPlayer) {
+        perception.lastKnown = { x: playerPos.x, y: playerPos.y, z: playerPos.z };
+      } else if (perception.heard) {
+        perception.lastKnown = { ...perception.heard };
+      }
+      if (perception.seesPlayer || perception.heard) {
+        perception.lastSensedTick = this.state.tick;
+      }
+    }
+    this.perception.clearNoises();
+  }
+
+  /**
+   * Pools what the enemies in a chasing state sense, and hands out squad
+   * roles among them every `SQUAD_REASSIGN_TICKS`, and straight away when one
+   * joins the chase.
+   */
+  #squadSystem() {
+    if (!this.ecs.entityExists(this.world, this.state.playerEid)) return;
+    const members = [];
+    let joined = false;
+    for (const eid of this.queries.enemyAI(this.world)) {
+      const ai = this.AI.get(eid);
+      if (!ai.fsm?.isIn('chasing')) continue;
+      const position = this.Position.get(eid);
+      members.push({
+        eid,
+        ai,
+        perception: this.Perception.get(eid),
+        cell: this.#worldToGrid(position.x, position.z, position.y),
+      });
+      joined ||= ai.squadRole === null;
+    }
+    this.squad.shareSightings(members);
+    if (!joined && this.state.tick % GAME_CONSTANTS.SQUAD_REASSIGN_TICKS !== 0) return;
+
+    const playerPos = this.Position.get(this.state.playerEid);
+    this.squad.assign(
+      members,
+      this.#worldToGrid(playerPos.x, playerPos.z, playerPos.y),
+      this.Velocity.get(this.state.playerEid),
+      squadTacticsFor(this.gameState.level),
+    );
+  }
+
+  #aiSystem(deltaTime) {
+    if (!this.ecs.entityExists(this.world, this.state.playerEid)) return;
+    const playerPos = this.Position.get(this.state.playerEid);
+    for (const eid of this.queries.enemyAI(this.world)) {
+      const ai = this.AI.get(eid);
+      ai.timer += 1;
+      if (ai.fsm) {
+        ai.fsm.update(playerPos, deltaTime);
+      }
+    }
+  }
+
+  /** Reveals the cells around the player on the floor they are on. */
+  #fogOfWarSystem() {
+    if (!this.ecs.entityExists(this.world, this.state.playerEid)) return;
+    const playerPos = this.Position.get(this.state.playerEid);
+    const { x, z } = this.#worldToGrid(playerPos.x, playerPos.z, playerPos.y);
+    const size = this.state.currentMazeSize;
+    const firstRow = floorRow(size, this.floorAt(playerPos.y));
+    const radius = GAME_CONSTANTS.FOG_OF_WAR_RADIUS;
+    for (let dz = -radius; dz <= radius; dz += 1) {
+      for (let dx = -radius; dx <= radius; dx += 1) {
+        const cellX = x + dx;
+        const cellZ = z + dz;
+        if (
+          cellZ >= firstRow &&
+          cellZ < firstRow + size &&
+          cellX >= 0 &&
+          cellX < this.state.currentMazeSize &&
+          Math.hypot(dx, dz) <= radius + 0.5
+        ) {
+          this.state.visitedCells[cellZ][cellX] = true;
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,120 @@
+import { SNAPSHOT_VERSION } from '../sim/simulation.js';
+
+const KEY_PREFIX = 'nexusMaze.save.';
+const DAILY_PREFIX = 'nexusMaze.daily.';
+
+/** Well-known save slots: the per-level autosave and the run left on tab close. */
+export const SAVE_SLOTS = Object.freeze({
+  AUTO: 'auto',
+  SUSPEND: 'suspend',
+});
+
+/**
+ * Persists simulation snapshots into named `localStorage` slots, plus the
+ * scored Daily Challenge attempt of each day. Storage failures (private mode,
+ * quota) are logged and treated as "no save".
+ */
+export class SaveManager {
+  /**
+   * @param {Storage | null} [storage]
+   */
+  constructor(storage = globalThis.localStorage ?? null) {
+    this.storage = storage;
+  }
+
+  /**
+   * @param {string} slot
+   * @param {object} snapshot Result of `Simulation#toSnapshot()`.
+   * @returns {boolean} Whether the save was written.
+   */
+  save(slot, snapshot) {
+    if (!this.storage) return false;
+    const record = {
+      savedAt: Date.now(),
+      level: snapshot.level,
+      score: snapshot.score,
+      seed: snapshot.seed,
+      snapshot,
+    };
+    try {
+      this.storage.setItem(KEY_PREFIX + slot, JSON.stringify(record));
+      return true;
+    } catch (error) {
+      console.warn(`Could not write save slot "${slot}"`, error);
+      return false;
+    }
+  }
+
+  /**
+   * @param {string} slot
+   * @returns {{ slot: string, savedAt: number, level: number, score: number, seed: string, snapshot: object } | null}
+   *   The stored record, or `null` when the slot is empty, corrupt or from an
+   *   incompatible snapshot version.
+   */
+  load(slot) {
+    if (!this.storage) return null;
+    try {
+      const raw = this.storage.getItem(KEY_PREFIX + slot);
+      if (!raw) return null;
+      const record = JSON.parse(raw);
+      if (record?.snapshot?.version !== SNAPSHOT_VERSION) return null;
+      return { slot, ...record };
+    } catch (error) {
+      console.warn(`Could not read save slot "${slot}"`, error);
+      return null;
+    }
+  }
+
+  delete(slot) {
+    try {
+      this.storage?.removeItem(KEY_PREFIX + slot);
+    } catch (error) {
+      console.warn(`Could not delete save slot "${slot}"`, error);
+    }
+  }
+
+  /** Every readable slot, most recent first. */
+  list() {
+    return Object.values(SAVE_SLOTS)
+      .map((slot) => this.load(slot))
+      .filter(Boolean)
+      .sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /** The most recently written slot, or `null` when there is nothing to continue. */
+  latest() {
+    return this.list()[0] ?? null;
+  }
+
+  /**
+   * @param {string} seed Daily Challenge seed, see `dailySeed()`.
+   * @returns {{ seed: string, startedAt: number, score: number | null, level: number | null } | null}
+   *   The day's scored attempt, with a `null` score while it is unfinished,
+   *   or `null` when it has not been started.
+   */
+  loadDaily(seed) {
+    if (!this.storage) return null;
+    try {
+      const raw = this.storage.getItem(DAILY_PREFIX + seed);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      console.warn(`Could not read daily attempt "${seed}"`, error);
+      return null;
+    }
+  }
+
+  /**
+   * @param {{ seed: string, startedAt: number, score: number | null, level: number | null }} attempt
+   * @returns {boolean} Whether the attempt was written.
+   */
+  saveDaily(attempt) {
+    if (!this.storage) return false;
+    try {
+      this.storage.setItem(DAILY_PREFIX + attempt.seed, JSON.stringify(attempt));
+      return true;
+    } catch (error) {
+      console.warn(`Could not write daily attempt "${attempt.seed}"`, error);
+      return false;
+    }
+  }
+}
@@ -0,0 +1,230 @@
+import {
+  AI_STATE_COLORS,
+  COLORS,
+  ENEMY_COLORS,
+  GAME_CONSTANTS,
+  HAZARD_COLORS,
+  KEYCARD_COLORS,
+  TELEPORTER_COLORS,
+} from '../constants.js';
+import { floorRow } from '../maze/generators.js';
+
+/** Canvas color for a 0xRRGGBB number. */
+function cssColor(color) {
+  return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * Draws explored maze cells, discovered hazards, doors, keycards,
+ * teleporters and lifts, the player and visible enemies onto the minimap
+ * canvas. With `showAI` set it also mirrors the AI debug overlay: every
+ * enemy's remaining path and vision range, colored by FSM state, fog or not.
+ *
+ * A multi-floor maze is shown one floor at a time: the player's, unless
+ * `cycleFloor()` picked another.
+ */
+export class Minimap {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.canvas.width = 180;
+    this.canvas.height = 180;
+    this.showAI = false;
+    /** Floor picked to show, or `null` to follow the player. */
+    this.floor = null;
+  }
+
+  /** Steps the shown floor through the level's `floors`, then back to following the player. */
+  cycleFloor(floors) {
+    this.floor = this.floor === null ? 0 : this.floor + 1 < floors ? this.floor + 1 : null;
+  }
+
+  draw(sim) {
+    if (!sim.ecs.entityExists(sim.world, sim.state.playerEid)) return;
+
+    const { ctx, canvas } = this;
+    const size = sim.state.currentMazeSize;
+    const { floors } = sim.state;
+    const cellSize = canvas.width / size;
+    const playerPos = sim.Position.get(sim.state.playerEid);
+    const floor = this.floor !== null && this.floor < floors ? this.floor : sim.floorAt(playerPos.y);
+    const firstRow = floorRow(size, floor);
+    // Maze cells on the shown floor, and their top-left corner on the canvas.
+    const onFloor = ({ z }) => z >= firstRow && z < firstRow + size;
+    const seen = (cell) => onFloor(cell) && sim.state.visitedCells[cell.z][cell.x];
+    const corner = ({ x, z }) => [x * cellSize, (z - firstRow) * cellSize];
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    for (let z = firstRow; z < firstRow + size; z += 1) {
+      for (let x = 0; x < size; x += 1) {
+        if (sim.state.visitedCells[z][x]) {
+          ctx.fillStyle = sim.state.maze[z][x] === 1
+            ? 'rgba(0, 244, 255, 0.8)'
+            : 'rgba(0, 100, 150, 0.5)';
+          ctx.fillRect(...corner({ x, z }), cellSize, cellSize);
+        }
+      }
+    }
+
+    // Discovered hazards tint their cell; a collapsed floor shows as a hole.
+    ctx.globalAlpha = 0.7;
+    for (const eid of sim.queries.hazards(sim.world)) {
+      const { kind, cell } = sim.Hazard.get(eid);
+      if (!seen(cell)) continue;
+      const collapsed = kind === 'crumble' && sim.CrumblingFloor.get(eid).state === 'collapsed';
+      ctx.fillStyle = collapsed ? '#000000' : cssColor(HAZARD_COLORS[kind]);
+      ctx.fillRect(...corner(cell), cellSize, cellSize);
+    }
+    ctx.globalAlpha = 1;
+
+    // Moving wall segments stand out from the static walls, and the doorway
+    // one is about to close is outlined while it warns.
+    for (const eid of sim.queries.movingWalls(sim.world)) {
+      const { cells, phase, warned } = sim.MovingWall.get(eid);
+      const blocking = cells[phase];
+      const closing = cells[1 - phase];
+      if (blocking && seen(blocking)) {
+        ctx.fillStyle = cssColor(COLORS.warning);
+        ctx.fillRect(...corner(blocking), cellSize, cellSize);
+      }
+      if (warned && closing && seen(closing)) {
+        ctx.strokeStyle = cssColor(COLORS.warning);
+        ctx.strokeRect(...corner(closing), cellSize, cellSize);
+      }
+    }
+
+    // Discovered doors in their keycard's color, outlined once unlocked, and
+    // keycards still lying around.
+    for (const eid of sim.queries.doors(sim.world)) {
+      const { cell, color, openedTick } = sim.Door.get(eid);
+      if (!seen(cell)) continue;
+      if (openedTick === null) {
+        ctx.fillStyle = cssColor(KEYCARD_COLORS[color]);
+        ctx.fillRect(...corner(cell), cellSize, cellSize);
+      } else {
+        ctx.strokeStyle = cssColor(KEYCARD_COLORS[color]);
+        ctx.strokeRect(...corner(cell), cellSize, cellSize);
+      }
+    }
+    for (const eid of sim.queries.keycards(sim.world)) {
+      const { cell, color } = sim.Keycard.get(eid);
+      if (!seen(cell)) continue;
+      const [x, z] = corner(cell);
+      ctx.fillStyle = cssColor(KEYCARD_COLORS[color]);
+      ctx.fillRect(x + cellSize / 4, z + cellSize / 4, cellSize / 2, cellSize / 2);
+    }
+
+    this.#drawTeleporters(sim, cellSize, seen, corner);
+    this.#drawLifts(sim, cellSize, seen, corner);
+
+    const playerGrid = sim.worldToGrid(playerPos.x, playerPos.z, playerPos.y);
+    if (onFloor(playerGrid)) {
+      const [x, z] = corner(playerGrid);
+      ctx.fillStyle = `#${COLORS.success.toString(16)}`;
+      ctx.beginPath();
+      ctx.arc(x + cellSize / 2, z + cellSize / 2, cellSize, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    for (const eid of sim.queries.enemies(sim.world)) {
+      const pos = sim.Position.get(eid);
+      const grid = sim.worldToGrid(pos.x, pos.z, pos.y);
+      if (seen(grid)) {
+        const color = sim.AI.get(eid)?.fsm?.isIn('fleeing')
+          ? COLORS.secondary
+          : ENEMY_COLORS[sim.Enemy.get(eid).type];
+        const [x, z] = corner(grid);
+        ctx.fillStyle = cssColor(color);
+        ctx.beginPath();
+        ctx.arc(x + cellSize / 2, z + cellSize / 2, cellSize * 0.6, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+
+    if (this.showAI) this.#drawAI(sim, cellSize, onFloor, corner);
+
+    if (floors > 1) {
+      ctx.fillStyle = this.floor === null ? '#ffffff' : cssColor(COLORS.lift);
+      ctx.font = '11px monospace';
+      ctx.textBaseline = 'top';
+      ctx.fillText(`FLOOR ${floor + 1}/${floors}`, 4, 4);
+    }
+  }
+
+  /**
+   * Discovered teleporters: filled entrances and hollow portal exits, joined
+   * by a faint line once both ends of a link have been seen on this floor.
+   */
+  #drawTeleporters(sim, cellSize, seen, corner) {
+    const { ctx } = this;
+    const center = (cell) => corner(cell).map((value) => value + cellSize / 2);
+    ctx.lineWidth = 1;
+    for (const eid of sim.queries.teleporters(sim.world)) {
+      const { cell, target, twoWay } = sim.Teleporter.get(eid);
+      if (!seen(cell)) continue;
+      const color = cssColor(twoWay ? TELEPORTER_COLORS.pad : TELEPORTER_COLORS.portal);
+      ctx.fillStyle = color;
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      ctx.arc(...center(cell), cellSize * 0.7, 0, Math.PI * 2);
+      if (target) ctx.fill();
+      else ctx.stroke();
+      if (target && seen(target)) {
+        ctx.globalAlpha = 0.3;
+        ctx.beginPath();
+        ctx.moveTo(...center(cell));
+        ctx.lineTo(...center(target));
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+      }
+    }
+  }
+
+  /** Discovered lift ends as hollow squares, whichever way they go. */
+  #drawLifts(sim, cellSize, seen, corner) {
+    const { ctx } = this;
+    ctx.strokeStyle = cssColor(COLORS.lift);
+    ctx.lineWidth = 1;
+    for (const eid of sim.queries.lifts(sim.world)) {
+      for (const cell of sim.Lift.get(eid).cells) {
+        if (!seen(cell)) continue;
+        const [x, z] = corner(cell);
+        ctx.strokeRect(x + cellSize * 0.15, z + cellSize * 0.15, cellSize * 0.7, cellSize * 0.7);
+      }
+    }
+  }
+
+  /** Enemies on the shown floor, and their paths up to where they leave it. */
+  #drawAI(sim, cellSize, onFloor, corner) {
+    const { ctx } = this;
+    const center = (cell) => corner(cell).map((value) => value + cellSize / 2);
+    const visionRadius = (GAME_CONSTANTS.AI_VISION_RANGE / GAME_CONSTANTS.CELL_SIZE) * cellSize;
+    ctx.lineWidth = 1;
+    for (const eid of sim.queries.enemyAI(sim.world)) {
+      const ai = sim.AI.get(eid);
+      if (!ai.fsm) continue;
+      const pos = sim.Position.get(eid);
+      const cell = sim.worldToGrid(pos.x, pos.z, pos.y);
+      if (!onFloor(cell)) continue;
+      const [x, z] = center(cell);
+      ctx.strokeStyle = cssColor(AI_STATE_COLORS[ai.fsm.stateName] ?? 0xffffff);
+
+      ctx.beginPath();
+      ctx.arc(x, z, visionRadius, 0, Math.PI * 2);
+      ctx.stroke();
+
+      ctx.beginPath();
+      ctx.arc(x, z, cellSize * 0.6, 0, Math.PI * 2);
+      ctx.stroke();
+
+      if (ai.path && ai.pathIndex < ai.path.length) {
+        ctx.beginPath();
+        ctx.moveTo(x, z);
+        for (let i = ai.pathIndex; i < ai.path.length && onFloor(ai.path[i]); i += 1) {
+          ctx.lineTo(...center(ai.path[i]));
+        }
+        ctx.stroke();
+      }
+    }
+  }
+}
@@ -0,0 +1,58 @@
+import { GAME_CONSTANTS } from '../constants.js';
+
+/**
+ * Playback bar shown while watching a replay: play/pause, seek slider, speed
+ * selector, exit, and a status line for version or sync warnings.
+ */
+export class ReplayControls {
+  /**
+   * @param {{ onTogglePlay: () => void, onSeek: (tick: number) => void,
+   *   onSpeed: (speed: number) => void, onExit: () => void }} handlers
+   */
+  constructor(handlers) {
+    this.elements = {
+      bar: document.getElementById('replay-bar'),
+      play: document.getElementById('replay-play'),
+      seek: document.getElementById('replay-seek'),
+      time: document.getElementById('replay-time'),
+      speed: document.getElementById('replay-speed'),
+      exit: document.getElementById('replay-exit'),
+      status: document.getElementById('replay-status'),
+    };
+    const { play, seek, speed, exit } = this.elements;
+    play.addEventListener('click', () => handlers.onTogglePlay());
+    seek.addEventListener('input', () => handlers.onSeek(Number(seek.value)));
+    speed.addEventListener('change', () => handlers.onSpeed(Number(speed.value)));
+    exit.addEventListener('click', () => handlers.onExit());
+  }
+
+  /** @param {import('../replay/replayPlayer.js').ReplayPlayer} player */
+  show(player) {
+    const { bar, seek, speed } = this.elements;
+    seek.max = String(player.length);
+    speed.value = String(player.speed);
+    bar.style.display = 'flex';
+    this.update(player);
+  }
+
+  hide() {
+    this.elements.bar.style.display = 'none';
+  }
+
+  /** @param {import('../replay/replayPlayer.js').ReplayPlayer} player */
+  update(player) {
+    const { play, seek, time, status } = this.elements;
+    const seconds = (ticks) => Math.floor(ticks * GAME_CONSTANTS.FIXED_TIMESTEP);
+    play.textContent = player.playing && !player.finished ? '⏸' : '▶';
+    seek.value = String(player.position);
+    time.textContent = `${seconds(player.position)}s / ${seconds(player.length)}s`;
+
+    if (player.diverged) {
+      status.textContent = '⚠ OUT OF SYNC';
+    } else if (player.versionMismatch) {
+      status.textContent = `⚠ RECORDED ON v${player.replay.version}`;
+    } else {
+      status.textContent = player.finished ? 'END' : '';
+    }
+  }
+}
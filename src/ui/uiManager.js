@@ -1,3 +1,7 @@
+import { KEYCARD_COLORS } from '../constants.js';
+import { GAME_EVENTS } from '../sim/gameEvents.js';
+import { GAME_MODES } from '../sim/gameModes.js';
+
 /**
  * Keeps DOM elements synchronized with the current game state.
  */
@@ -9,6 +13,14 @@ export class UIManager {
     this.#initializeBindings();
   }
 
+  /**
+   * Subscribes HUD feedback to gameplay events.
+   * @param {import('../core/emitter.js').Emitter} events
+   */
+  connect(events) {
+    events.on(GAME_EVENTS.PLAYER_DAMAGED, () => this.flashDamage());
+  }
+
   setSpeedBoostChecker(fn) {
     this.hasSpeedBoost = fn;
   }
@@ -20,25 +32,42 @@ export class UIManager {
   #cacheElements() {
     return {
       ui: document.getElementById('ui'),
+      mode: document.getElementById('mode'),
       score: document.getElementById('score'),
       time: document.getElementById('time'),
       level: document.getElementById('level'),
+      keys: document.getElementById('keys'),
       health: document.getElementById('health'),
       energy: document.getElementById('energy'),
       position: document.getElementById('position'),
+      seed: document.getElementById('seed'),
       jumpStatus: document.getElementById('jump-status'),
+      pulseStatus: document.getElementById('pulse-status'),
       damageFlash: document.getElementById('damageFlash'),
+      notice: document.getElementById('notice'),
       loading: document.getElementById('loading'),
       progress: document.getElementById('progress'),
       loadingStatus: document.getElementById('loading-status'),
+      continuePanel: document.getElementById('continue-panel'),
+      continueSummary: document.getElementById('continue-summary'),
+      continueButton: document.getElementById('continueButton'),
+      newRunButton: document.getElementById('newRunButton'),
       minimap: document.getElementById('minimap'),
       audioButton: document.getElementById('audio-button'),
       restartButton: document.getElementById('restartButton'),
       restartButtonWon: document.getElementById('restartButtonWon'),
+      modeButton: document.getElementById('modeButton'),
+      modeButtonWon: document.getElementById('modeButtonWon'),
+      modeScreen: document.getElementById('modeScreen'),
+      modeList: document.getElementById('mode-list'),
       gameOverScreen: document.getElementById('gameOverScreen'),
+      gameOverTitle: document.getElementById('gameOverTitle'),
+      gameOverText: document.getElementById('gameOverText'),
+      gameOverStats: document.getElementById('gameOverStats'),
       gameWonScreen: document.getElementById('gameWonScreen'),
-      finalScore: document.getElementById('finalScore'),
-      finalScoreWon: document.getElementById('finalScoreWon'),
+      gameWonTitle: document.getElementById('gameWonTitle'),
+      gameWonText: document.getElementById('gameWonText'),
+      gameWonStats: document.getElementById('gameWonStats'),
     };
   }
 
@@ -68,7 +97,13 @@ export class UIManager {
     this.gameState.emit('energyChanged', this.gameState.energy);
   }
 
-  async runLoadingSequence() {
+  /**
+   * Plays the loading animation. When a saved run is offered, waits for the
+   * player to pick between resuming it and starting fresh.
+   * @param {{ level: number, score: number, savedAt: number, snapshot: object } | null} [savedRun]
+   * @returns {Promise<'continue' | 'new'>}
+   */
+  async runLoadingSequence(savedRun = null) {
     const steps = [
       { progress: 10, status: 'Calibrating physics engine...' },
       { progress: 70, status: 'Initializing particle systems...' },
@@ -81,6 +116,8 @@ export class UIManager {
       this.elements.loadingStatus.textContent = step.status;
     }
 
+    const choice = savedRun ? await this.#promptContinue(savedRun) : 'new';
+
     await new Promise((resolve) => {
       setTimeout(() => {
         this.elements.loading.style.opacity = '0';
@@ -93,29 +130,120 @@ export class UIManager {
         }, 500);
       }, 200);
     });
+    return choice;
+  }
+
+  #promptContinue({ level, score, savedAt, snapshot }) {
+    const { continuePanel, continueSummary, continueButton, newRunButton } = this.elements;
+    continueSummary.textContent = `${GAME_MODES[snapshot.options.mode].label} · LEVEL ${level} · ` +
+      `SCORE ${score.toLocaleString()} · ${new Date(savedAt).toLocaleString()}`;
+    continuePanel.style.display = 'block';
+    return new Promise((resolve) => {
+      const choose = (choice) => {
+        continuePanel.style.display = 'none';
+        resolve(choice);
+      };
+      continueButton.addEventListener('click', () => choose('continue'), { once: true });
+      newRunButton.addEventListener('click', () => choose('new'), { once: true });
+    });
+  }
+
+  /**
+   * Shows the mode selection screen, one button per entry of `GAME_MODES`.
+   * @param {Record<string, string>} [notes] Extra line under a mode's
+   *   description, by mode id.
+   * @returns {Promise<string>} The chosen mode id.
+   */
+  promptMode(notes = {}) {
+    const { modeScreen, modeList } = this.elements;
+    modeList.replaceChildren();
+    modeScreen.style.display = 'flex';
+    return new Promise((resolve) => {
+      for (const [id, { label, description }] of Object.entries(GAME_MODES)) {
+        const button = document.createElement('button');
+        button.className = 'overlay-button mode-button';
+        const lines = [[label, 'mode-name'], [description, 'mode-description']];
+        if (notes[id]) lines.push([notes[id], 'mode-note']);
+        for (const [text, className] of lines) {
+          const line = document.createElement('span');
+          line.className = className;
+          line.textContent = text;
+          button.append(line);
+        }
+        button.addEventListener('click', () => {
+          modeScreen.style.display = 'none';
+          resolve(id);
+        }, { once: true });
+        modeList.append(button);
+      }
+    });
+  }
+
+  /**
+   * Shows the end of run screen.
+   * @param {boolean} won
+   * @param {{ title: string, text: string, stats: [string, string][] }} summary
+   *   Heading, subtitle and labelled stats from the game mode.
+   */
+  showEndScreen(won, { title, text, stats }) {
+    const prefix = won ? 'gameWon' : 'gameOver';
+    this.elements[`${prefix}Title`].textContent = title;
+    this.elements[`${prefix}Text`].textContent = text;
+    this.elements[`${prefix}Stats`].replaceChildren(...stats.flatMap(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const detail = document.createElement('dd');
+      detail.textContent = value;
+      return [term, detail];
+    }));
+    this.elements[`${prefix}Screen`].style.display = 'flex';
+  }
+
+  hideEndScreens() {
+    this.elements.gameOverScreen.style.display = 'none';
+    this.elements.gameWonScreen.style.display = 'none';
   }
 
-  updateRuntimeUI(game) {
-    if (!game.ecs.entityExists(game.world, game.state.playerEid)) return;
-    const playerPos = game.Position.get(game.state.playerEid);
-    this.elements.time.textContent =
-      `${Math.floor((Date.now() - game.state.startTime) / 1000)}s`;
+  /**
+   * Renders the per-frame HUD from the simulation state.
+   * @param {import('../sim/simulation.js').Simulation} sim
+   */
+  updateRuntimeUI(sim) {
+    const { ecs, world, state } = sim;
+    if (!ecs.entityExists(world, state.playerEid)) return;
+    const playerPos = sim.Position.get(state.playerEid);
+    if (state.deadline === null) {
+      this.elements.time.textContent = `${Math.floor(state.time / 1000)}s`;
+      this.elements.time.style.color = '';
+    } else {
+      const left = Math.max(0, Math.ceil((state.deadline - state.time) / 1000));
+      this.elements.time.textContent = `⏱ ${left}s`;
+      this.elements.time.style.color = left > 10 ? '' : '#ff4040';
+    }
     this.elements.position.textContent = `(${playerPos.x.toFixed(1)}, ${playerPos.z.toFixed(1)})`;
+    this.#updateKeys(sim);
 
-    const jumpColor = game.state.jumpReady ? '#00f4ff' : '#ff6b00';
+    const jumpColor = state.jumpReady ? '#00f4ff' : '#ff6b00';
     this.elements.jumpStatus.innerHTML =
       `<strong>PHASE DASH:</strong> <span style="color: ${jumpColor};">${
-        game.state.jumpReady ? 'READY' : 'RECHARGING'
+        state.jumpReady ? 'READY' : 'RECHARGING'
+      }</span>`;
+
+    const pulseColor = state.pulseReady ? '#00f4ff' : '#ff6b00';
+    const pulseWait = Math.ceil((state.pulseReadyAt - state.time) / 1000);
+    this.elements.pulseStatus.innerHTML =
+      `<strong>PULSE:</strong> <span style="color: ${pulseColor};">${
+        state.pulseReady ? 'READY' : `RECHARGING ${pulseWait}s`
       }</span>`;
 
     let powerUpText = '';
-    if (game.ecs.hasComponent(game.world, game.InvulnerabilityShield, game.state.playerEid)) {
+    if (ecs.hasComponent(world, sim.InvulnerabilityShield, state.playerEid)) {
       powerUpText += '🛡️ SHIELD ';
     }
-    if (game.ecs.hasComponent(game.world, game.ScoreMultiplierEffect, game.state.playerEid)) {
+    if (ecs.hasComponent(world, sim.ScoreMultiplierEffect, state.playerEid)) {
       powerUpText += '✨ MULTIPLIER ';
     }
-    if (game.ecs.hasComponent(game.world, game.SpeedBoost, game.state.playerEid)) {
+    if (ecs.hasComponent(world, sim.SpeedBoost, state.playerEid)) {
       powerUpText += '🚀 SPEED ';
     }
     if (powerUpText) {
@@ -123,6 +251,51 @@ export class UIManager {
     }
   }
 
+  /** One square per keycard the goal needs, filled in once it is held. */
+  #updateKeys(sim) {
+    const goalEid = sim.queries.goals(sim.world).values().next().value;
+    const required = goalEid === undefined ? [] : sim.Goal.get(goalEid).keys;
+    const { held } = sim.Keyring.get(sim.state.playerEid);
+    const html = required.length === 0
+      ? '-'
+      : required.map((color) => {
+        const css = `#${KEYCARD_COLORS[color].toString(16).padStart(6, '0')}`;
+        return `<span style="color: ${css};">${held.includes(color) ? '■' : '□'}</span>`;
+      }).join(' ');
+    // Only touch the DOM when a key is picked up or the level changes.
+    if (html === this.#keysHtml) return;
+    this.#keysHtml = html;
+    this.elements.keys.innerHTML = html;
+  }
+
+  /** @param {string} mode Game mode id of the current run. */
+  showMode(mode) {
+    this.elements.mode.textContent = GAME_MODES[mode].label;
+  }
+
+  /**
+   * Displays the seed of the current run so a maze can be shared or reported.
+   * @param {string} seed
+   */
+  showSeed(seed) {
+    this.elements.seed.textContent = seed;
+  }
+
+  /**
+   * Briefly shows a message at the top of the screen, e.g. a replay that
+   * could not be opened.
+   * @param {string} message
+   */
+  showNotice(message) {
+    const { notice } = this.elements;
+    notice.textContent = message;
+    notice.style.display = 'block';
+    clearTimeout(this.#noticeTimer);
+    this.#noticeTimer = setTimeout(() => {
+      notice.style.display = 'none';
+    }, 5000);
+  }
+
   flashDamage() {
     const { damageFlash } = this.elements;
     damageFlash.style.display = 'block';
@@ -134,4 +307,7 @@ export class UIManager {
       }, 100);
     }, 75);
   }
+
+  #keysHtml = '';
+  #noticeTimer = 0;
 }